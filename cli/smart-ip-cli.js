@@ -5,8 +5,68 @@
     const inquirer = (await import("inquirer")).default;
     const ora = (await import("ora")).default;
 
-    const { search_mdns_servicesmv1 } = await import('../src/mdns_lib.js');
+    const { parseArgs } = await import("util");
+
+    const { search_mdns_servicesmv1, start_mdns_listener, list_service_types, is_service_resolved } = await import('../src/mdns_lib.js');
     const { list_interfaces } = await import('../src/list_interfaces.js');
+    const { analyze_pcap } = await import('../src/pcap.js');
+
+    /**
+     * Exit codes for the non-interactive commands.
+     */
+    const EXIT_OK = 0;
+    const EXIT_NOT_FOUND = 1;
+    const EXIT_USAGE = 2;
+    const EXIT_FAILURE = 3;
+
+    const OUTPUT_FORMATS = ["json", "ndjson", "csv", "table"];
+
+    /**
+     * Fields written for each service and interface by the machine-readable output formats.
+     */
+    const SERVICE_FIELDS = ["name", "type", "addresses", "port", "properties", "interface", "ttl"];
+    const INTERFACE_FIELDS = ["name", "address", "family", "netmask", "mac", "internal", "scopeid"];
+    // Captured packets carry no local interface.
+    const ANALYZE_FIELDS = SERVICE_FIELDS.filter(field => field !== "interface");
+    const WATCH_FIELDS = ["name", "type", "status", "addresses", "port", "interface", "first_seen", "last_seen", "changes"];
+
+    /**
+     * Fraction of its TTL after which an unanswered device is shown as stale. The
+     * browser re-queries at 80% of the TTL, so a healthy device has answered by then.
+     */
+    const STALE_FRACTION = 0.85;
+
+    /**
+     * Raised for invalid command line arguments.
+     */
+    class UsageError extends Error {}
+
+    const USAGE = `Usage: smart-ip [command] [options]
+
+Commands:
+  interfaces               List network interfaces
+  search                   Search for mDNS services
+  watch                    Browse continuously and show a live table of devices
+  analyze <file>           Show the services found in a pcap or pcapng capture
+
+Search and watch options:
+  --service <type>         Service type or subtype to search for; repeat for several
+                           (default: _smart_ip._tcp); also used by analyze
+  --interface <name|ip>    Interface name, local address or "all" (default: all)
+  --family <ipv4|ipv6>     Address family to search on (default: ipv4)
+  --timeout <ms>           Search duration in milliseconds (default: 3000)
+  --mdns-address <ip>      mDNS multicast address (default: 224.0.0.251 or ff02::fb)
+  --mdns-port <port>       mDNS port (default: 5353)
+  --capture <file>         Append every received packet to a JSON lines capture file
+
+Options:
+  --output <format>        json, ndjson, csv or table (default: table);
+                           watch supports table and ndjson
+  -h, --help               Show this help
+
+Without a command the interactive menu is started.
+
+Exit codes: 0 = success, 1 = nothing found, 2 = invalid usage, 3 = search or analysis failed`;
 
     /**
      * Gracefully handles exit (Ctrl+C) to prevent ugly errors.
@@ -34,6 +94,7 @@
                         choices: [
                             { name: "📡 List Network Interfaces", value: "list" },
                             { name: "🔍 Search for smart_ip Devices", value: "search" },
+                            { name: "🧭 Discover Service Types", value: "types" },
                             { name: "❌ Exit", value: "exit" }
                         ]
                     }
@@ -47,6 +108,9 @@
                     case "search":
                         await handleSearchDevices();
                         break;
+                    case "types":
+                        await handleDiscoverServiceTypes();
+                        break;
                     case "exit":
                         console.log(chalk.green("\n👋 Exiting. Have a great day!\n"));
                         continueLoop = false;
@@ -90,19 +154,7 @@
             const interfaces = list_interfaces();
             spinner.stop();
 
-            if (!interfaces.length) {
-                console.log(chalk.yellow("⚠️ No network interfaces found."));
-            } else {
-                interfaces.forEach((iface, index) => {
-                    console.log(chalk.cyan(`Interface ${index + 1}:`));
-                    console.log(`  • Name: ${iface.name}`);
-                    console.log(`  • Address: ${iface.address}`);
-                    console.log(`  • Family: ${iface.family}`);
-                    console.log(`  • MAC: ${iface.mac}`);
-                    console.log(`  • Internal: ${iface.internal}`);
-                    console.log("----------------------------");
-                });
-            }
+            printInterfaces(interfaces);
         } catch (error) {
             spinner.stop();
             console.log(chalk.red("❌ Failed to list interfaces:"), error.message);
@@ -110,88 +162,120 @@
     }
 
     /**
-     * Handles searching for smart_ip devices.
+     * Prints network interfaces.
      */
-    async function handleSearchDevices() {
-        try {
-            const allIfaces = list_interfaces();
+    function printInterfaces(interfaces) {
+        if (!interfaces.length) {
+            console.log(chalk.yellow("⚠️ No network interfaces found."));
+            return;
+        }
+        interfaces.forEach((iface, index) => {
+            console.log(chalk.cyan(`Interface ${index + 1}:`));
+            console.log(`  • Name: ${iface.name}`);
+            console.log(`  • Address: ${iface.address}`);
+            console.log(`  • Family: ${iface.family}`);
+            console.log(`  • MAC: ${iface.mac}`);
+            console.log(`  • Internal: ${iface.internal}`);
+            console.log("----------------------------");
+        });
+    }
 
-            // Prompt user to select which IP versions to include
-            const { ipVersion } = await inquirer.prompt([
-                {
-                    type: "list",
-                    name: "ipVersion",
-                    message: "Select IP version to include:",
-                    choices: [
-                        { name: "IPv4", value: "IPv4" },
-                        { name: "IPv6", value: "IPv6" },
-                        { name: "Both", value: "Both" }
-                    ],
-                    default: "IPv4"
-                }
-            ]);
+    /**
+     * Prompts for the IP version and interface filtering mode and returns the matching interfaces.
+     */
+    async function promptForInterfaces() {
+        const allIfaces = list_interfaces();
 
-            // Filter interfaces based on selected IP version
-            let filteredIfaces = allIfaces.filter(iface => {
-                if (ipVersion === "Both") {
-                    return iface.family === "IPv4" || iface.family === "IPv6";
-                }
-                return iface.family === ipVersion;
-            });
+        // Prompt user to select which IP versions to include
+        const { ipVersion } = await inquirer.prompt([
+            {
+                type: "list",
+                name: "ipVersion",
+                message: "Select IP version to include:",
+                choices: [
+                    { name: "IPv4", value: "IPv4" },
+                    { name: "IPv6", value: "IPv6" },
+                    { name: "Both", value: "Both" }
+                ],
+                default: "IPv4"
+            }
+        ]);
 
-            // Prompt for further filtering based on internal flag
-            const { ifaceType } = await inquirer.prompt([
-                {
-                    type: "list",
-                    name: "ifaceType",
-                    message: "Select interface filtering mode:",
-                    choices: [
-                        { name: "All interfaces", value: "all" },
-                        { name: "Non-internal interfaces", value: "nonInternal" },
-                        { name: "Internal interfaces", value: "internal" }
-                    ],
-                    default: "nonInternal"
-                }
-            ]);
+        // Filter interfaces based on selected IP version
+        let filteredIfaces = allIfaces.filter(iface => {
+            if (ipVersion === "Both") {
+                return iface.family === "IPv4" || iface.family === "IPv6";
+            }
+            return iface.family === ipVersion;
+        });
 
-            let availableIfaces;
-            switch (ifaceType) {
-                case "all":
-                    availableIfaces = filteredIfaces;
-                    break;
-                case "nonInternal":
-                    availableIfaces = filteredIfaces.filter(iface => !iface.internal);
-                    break;
-                case "internal":
-                    availableIfaces = filteredIfaces.filter(iface => iface.internal);
-                    break;
-                default:
-                    availableIfaces = filteredIfaces;
+        // Prompt for further filtering based on internal flag
+        const { ifaceType } = await inquirer.prompt([
+            {
+                type: "list",
+                name: "ifaceType",
+                message: "Select interface filtering mode:",
+                choices: [
+                    { name: "All interfaces", value: "all" },
+                    { name: "Non-internal interfaces", value: "nonInternal" },
+                    { name: "Internal interfaces", value: "internal" }
+                ],
+                default: "nonInternal"
             }
+        ]);
 
+        let availableIfaces;
+        switch (ifaceType) {
+            case "all":
+                availableIfaces = filteredIfaces;
+                break;
+            case "nonInternal":
+                availableIfaces = filteredIfaces.filter(iface => !iface.internal);
+                break;
+            case "internal":
+                availableIfaces = filteredIfaces.filter(iface => iface.internal);
+                break;
+            default:
+                availableIfaces = filteredIfaces;
+        }
+
+        return availableIfaces;
+    }
+
+    /**
+     * Builds the prompt for choosing one of the given interfaces.
+     */
+    function interfacePrompt(availableIfaces) {
+        return {
+            type: "list",
+            name: "interface",
+            message: "Select the network interface to use:",
+            choices: availableIfaces.map(iface => ({
+                name: `${iface.name} (${iface.address}) [${iface.family}]`,
+                value: iface.address
+            })),
+            default: availableIfaces[0].address
+        };
+    }
+
+    /**
+     * Handles searching for smart_ip devices.
+     */
+    async function handleSearchDevices() {
+        try {
+            const availableIfaces = await promptForInterfaces();
             if (!availableIfaces.length) {
                 console.log(chalk.yellow("⚠️ No matching network interfaces found."));
                 return;
             }
 
-            const defaultIface = availableIfaces[0].address;
-
             // Prompt for additional search options
             const responses = await inquirer.prompt([
-                {
-                    type: "list",
-                    name: "interface",
-                    message: "Select the network interface to use:",
-                    choices: availableIfaces.map(iface => ({
-                        name: `${iface.name} (${iface.address}) [${iface.family}]`,
-                        value: iface.address
-                    })),
-                    default: defaultIface
-                },
+                interfacePrompt(availableIfaces),
                 {
                     type: "input",
                     name: "service_query",
-                    message: "Enter the service query (e.g., _smart_ip._tcp):",
+                    message: "Enter the service query (e.g., _smart_ip._tcp; separate several with commas):",
                     default: "_smart_ip._tcp"
                 },
                 {
@@ -206,7 +290,11 @@
                     type: "input",
                     name: "mdns_address",
                     message: "Enter the mDNS address:",
-                    default: "224.0.0.251"
+                    // IPv6 interfaces use the link-local mDNS group instead of 224.0.0.251
+                    default: answers => {
+                        const selected = availableIfaces.find(iface => iface.address === answers.interface);
+                        return selected && selected.family === "IPv6" ? "ff02::fb" : "224.0.0.251";
+                    }
                 },
                 {
                     type: "input",
@@ -222,7 +310,8 @@
                 mdns_address: responses.mdns_address,
                 mdns_port: parseInt(responses.mdns_port),
                 interface: responses.interface,
-                service_query: responses.service_query,
+                // Several types and subtypes are browsed for with one query
+                service_query: responses.service_query.split(",").map(type => type.trim()).filter(Boolean),
                 timeout: parseInt(responses.timeout)
             };
 
@@ -230,29 +319,533 @@
             const devices = await search_mdns_servicesmv1(options);
             spinner.stop();
 
-            if (!devices.length) {
-                console.log(chalk.yellow("\n⚠️ No smart_ip devices found.\n"));
-            } else {
-                console.log(chalk.green(`\n✅ Found ${devices.length} smart_ip device(s):\n`));
-                devices.forEach((device, index) => {
-                    console.log(chalk.magenta(`Device ${index + 1}:`));
-                    console.log(`  • Name: ${device.name}`);
-                    console.log(`  • IP Address(es): ${device.addresses && device.addresses.length ? device.addresses.join(", ") : "N/A"}`);
-                    console.log(`  • Port: ${device.port}`);
-                    console.log(`  • Properties: ${device.properties ? JSON.stringify(device.properties, null, 2) : "None"}`);
-                    console.log("----------------------------");
-                });
+            printDevices(devices);
+        } catch (error) {
+            // Check if the prompt was force-closed by the user (Ctrl+C)
+            if (error?.message && error.message.includes("User force closed")) {
+                console.log(chalk.yellow("\n❌ Process terminated by user. Exiting gracefully...\n"));
+                process.exit(0);
+            }
+            console.log(chalk.red("❌ Error during mDNS search:"), describeSearchError(error));
+        }
+    }
+
+    /**
+     * Handles discovering the service types on the network and searching for a chosen type.
+     */
+    async function handleDiscoverServiceTypes() {
+        try {
+            const availableIfaces = await promptForInterfaces();
+            if (!availableIfaces.length) {
+                console.log(chalk.yellow("⚠️ No matching network interfaces found."));
+                return;
+            }
+
+            const responses = await inquirer.prompt([
+                interfacePrompt(availableIfaces),
+                {
+                    type: "input",
+                    name: "timeout",
+                    message: "Enter the timeout duration in ms:",
+                    default: "3000",
+                    validate: input =>
+                        !isNaN(input) && Number(input) > 0 ? true : "Enter a valid number greater than 0"
+                }
+            ]);
+            const timeout = parseInt(responses.timeout);
+
+            const spinner = ora(`🧭 Discovering service types on ${responses.interface}...`).start();
+            const types = await list_service_types({ interface: responses.interface, timeout });
+            spinner.stop();
+
+            if (!types.length) {
+                console.log(chalk.yellow("\n⚠️ No service types found.\n"));
+                return;
+            }
+
+            const { service_query } = await inquirer.prompt([
+                {
+                    type: "list",
+                    name: "service_query",
+                    message: `Found ${types.length} service type(s). Select one to search for:`,
+                    choices: [
+                        ...types.map(type => ({ name: type, value: type })),
+                        { name: "↩️ Back to menu", value: null }
+                    ]
+                }
+            ]);
+            if (!service_query) {
+                return;
             }
+
+            const searchSpinner = ora(`🔍 Searching for devices with '${service_query}' on ${responses.interface}...`).start();
+            const devices = await search_mdns_servicesmv1({ interface: responses.interface, service_query, timeout });
+            searchSpinner.stop();
+
+            printDevices(devices);
         } catch (error) {
             // Check if the prompt was force-closed by the user (Ctrl+C)
             if (error?.message && error.message.includes("User force closed")) {
                 console.log(chalk.yellow("\n❌ Process terminated by user. Exiting gracefully...\n"));
                 process.exit(0);
             }
-            console.log(chalk.red("❌ Error during mDNS search:"), error.message);
+            console.log(chalk.red("❌ Error during mDNS search:"), describeSearchError(error));
+        }
+    }
+
+    /**
+     * Explains why a search could not run, based on the library's typed errors.
+     */
+    function describeSearchError(error) {
+        switch (error.name) {
+            case "InterfaceNotFoundError":
+                return `The selected interface '${error.interface}' is not available on this host.`;
+            case "BindError":
+                if (error.code === "EADDRINUSE") {
+                    return `Port ${error.port} is already in use by another process (another mDNS responder may hold it exclusively).`;
+                }
+                if (error.code === "EADDRNOTAVAIL") {
+                    return `The address ${error.address} is not available on this host.`;
+                }
+                return `Could not bind to ${error.address}:${error.port} (${error.code}).`;
+            case "MembershipError":
+                return `Could not join the multicast group ${error.multicast_address} on ${error.interface} (${error.code}). ` +
+                    "Check that the interface is up and supports multicast.";
+            default:
+                return error.message;
+        }
+    }
+
+    /**
+     * Prints the devices found by a search.
+     */
+    function printDevices(devices) {
+        if (!devices.length) {
+            console.log(chalk.yellow("\n⚠️ No smart_ip devices found.\n"));
+            return;
+        }
+        console.log(chalk.green(`\n✅ Found ${devices.length} smart_ip device(s):\n`));
+        devices.forEach((device, index) => {
+            console.log(chalk.magenta(`Device ${index + 1}:`));
+            console.log(`  • Name: ${device.name}`);
+            console.log(`  • IP Address(es): ${device.addresses && device.addresses.length ? device.addresses.join(", ") : "N/A"}`);
+            console.log(`  • Port: ${device.port}`);
+            console.log(`  • Properties: ${device.properties ? JSON.stringify(device.properties, null, 2) : "None"}`);
+            console.log("----------------------------");
+        });
+    }
+
+    /**
+     * Converts a discovered service into the stable record written by the output formats.
+     */
+    function toServiceRecord(service) {
+        return {
+            name: service.name,
+            // The requested service type or subtype the service matched
+            type: service.type ?? null,
+            addresses: service.addresses || [],
+            port: service.port ?? null,
+            properties: service.properties || {},
+            // The local address of the interface the service was first seen on
+            interface: service.interfaces && service.interfaces.length ? service.interfaces[0] : null,
+            ttl: service.ttl ?? null
+        };
+    }
+
+    /**
+     * Converts a network interface into the stable record written by the output formats.
+     */
+    function toInterfaceRecord(iface) {
+        return {
+            name: iface.name,
+            address: iface.address,
+            family: iface.family,
+            netmask: iface.netmask ?? null,
+            mac: iface.mac ?? null,
+            internal: iface.internal,
+            scopeid: iface.scopeid ?? null
+        };
+    }
+
+    /**
+     * Formats a record field as plain text for the csv and table formats.
+     */
+    function formatField(value) {
+        if (value === null || value === undefined) {
+            return "";
+        }
+        if (Array.isArray(value)) {
+            return value.join(" ");
+        }
+        if (typeof value === "object") {
+            return JSON.stringify(value);
+        }
+        return String(value);
+    }
+
+    /**
+     * Quotes a CSV cell when it contains a separator, quote or line break (RFC 4180).
+     */
+    function csvCell(text) {
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Writes records to stdout in the requested format.
+     */
+    function writeRecords(records, fields, format) {
+        switch (format) {
+            case "json":
+                console.log(JSON.stringify(records, null, 2));
+                break;
+            case "ndjson":
+                records.forEach(record => console.log(JSON.stringify(record)));
+                break;
+            case "csv":
+                console.log(fields.join(","));
+                records.forEach(record => console.log(fields.map(field => csvCell(formatField(record[field]))).join(",")));
+                break;
+            case "table":
+                formatTable(records, fields).forEach(line => console.log(line));
+                break;
+        }
+    }
+
+    /**
+     * Formats records as aligned columns, returning the header line followed by one line per record.
+     */
+    function formatTable(records, fields) {
+        const rows = records.map(record => fields.map(field => formatField(record[field])));
+        const widths = fields.map((field, column) =>
+            Math.max(field.length, ...rows.map(row => row[column].length)));
+        const formatRow = row => row.map((cell, column) => cell.padEnd(widths[column])).join("  ").trimEnd();
+        return [formatRow(fields.map(field => field.toUpperCase())), ...rows.map(formatRow)];
+    }
+
+    /**
+     * Runs `smart-ip interfaces` and returns the exit code.
+     */
+    function runInterfacesCommand(flags) {
+        const interfaces = list_interfaces();
+        writeRecords(interfaces.map(toInterfaceRecord), INTERFACE_FIELDS, flags.output);
+        return interfaces.length ? EXIT_OK : EXIT_NOT_FOUND;
+    }
+
+    /**
+     * Builds the listener options shared by `smart-ip search` and `smart-ip watch` from the parsed flags.
+     */
+    function buildListenerOptions(flags) {
+        const family = flags.family.toLowerCase();
+        if (family !== "ipv4" && family !== "ipv6") {
+            throw new UsageError(`Invalid --family '${flags.family}', expected ipv4 or ipv6`);
+        }
+        const options = {
+            service_query: flags.service,
+            interface: flags.interface,
+            family: family === "ipv6" ? "IPv6" : "IPv4"
+        };
+        if (flags["mdns-address"]) {
+            options.mdns_address = flags["mdns-address"];
+        }
+        if (flags["mdns-port"]) {
+            const port = Number(flags["mdns-port"]);
+            if (!Number.isInteger(port) || port <= 0 || port > 65535) {
+                throw new UsageError(`Invalid --mdns-port '${flags["mdns-port"]}'`);
+            }
+            options.mdns_port = port;
+        }
+        if (flags.capture) {
+            options.capture = flags.capture;
+        }
+        return options;
+    }
+
+    /**
+     * Runs `smart-ip search` with the parsed flags and returns the exit code.
+     */
+    async function runSearchCommand(flags) {
+        const timeout = Number(flags.timeout);
+        if (!Number.isInteger(timeout) || timeout <= 0) {
+            throw new UsageError(`Invalid --timeout '${flags.timeout}', expected a number of milliseconds greater than 0`);
+        }
+        const options = { ...buildListenerOptions(flags), timeout };
+
+        // NDJSON streams one line per service as soon as it has a port and an address,
+        // which may only be in a later update when the first response is incomplete.
+        if (flags.output === "ndjson") {
+            const written = new Set();
+            const writeResolved = service => {
+                if (written.has(service.fqdn) || !is_service_resolved(service)) return;
+                written.add(service.fqdn);
+                console.log(JSON.stringify(toServiceRecord(service)));
+            };
+            options.on_service_found = writeResolved;
+            options.on_service_updated = writeResolved;
+        }
+
+        // Only the table is meant for people; the spinner would mix with machine-readable output.
+        const spinner = ora({
+            text: `🔍 Searching for '${options.service_query.join("', '")}' on ${options.interface}...`,
+            isSilent: flags.output !== "table"
+        }).start();
+        let devices;
+        try {
+            devices = await search_mdns_servicesmv1(options);
+        } catch (error) {
+            spinner.stop();
+            console.error(chalk.red("❌ Error during mDNS search:"), describeSearchError(error));
+            return EXIT_FAILURE;
+        }
+        spinner.stop();
+        if (flags.output !== "ndjson") {
+            writeRecords(devices.map(toServiceRecord), SERVICE_FIELDS, flags.output);
         }
+        return devices.length ? EXIT_OK : EXIT_NOT_FOUND;
     }
 
-    // Start the CLI
-    await mainMenu();
+    /**
+     * Describes how a device's TXT properties changed, e.g. "location: Office → Studio".
+     */
+    function describePropertyChanges(previous, current) {
+        const changes = [];
+        for (const key of Object.keys(current)) {
+            if (!(key in previous)) {
+                changes.push(`+${key}=${current[key]}`);
+            } else if (previous[key] !== current[key]) {
+                changes.push(`${key}: ${previous[key]} → ${current[key]}`);
+            }
+        }
+        for (const key of Object.keys(previous)) {
+            if (!(key in current)) {
+                changes.push(`-${key}`);
+            }
+        }
+        return changes.join(", ");
+    }
+
+    /**
+     * Runs `smart-ip watch`: browses continuously and renders a live table of devices
+     * (or streams NDJSON events). Only returns, with an exit code, if browsing fails.
+     */
+    function runWatchCommand(flags) {
+        if (flags.output !== "table" && flags.output !== "ndjson") {
+            throw new UsageError(`Invalid --output '${flags.output}' for watch, expected table or ndjson`);
+        }
+        const options = buildListenerOptions(flags);
+        // Map of device name -> { service, status, first_seen, last_seen, changes }
+        const devices = new Map();
+        let rendered = "";
+
+        const statusOf = (device, now) => {
+            if (device.status === "gone") {
+                return "gone";
+            }
+            const ttl = device.service.ttl || 0;
+            return ttl && now - device.last_seen > ttl * 1000 * STALE_FRACTION ? "stale" : "online";
+        };
+
+        const toWatchRecord = device => ({
+            ...toServiceRecord(device.service),
+            status: device.status,
+            first_seen: new Date(device.first_seen).toISOString(),
+            last_seen: new Date(device.last_seen).toISOString(),
+            changes: device.changes
+        });
+
+        const emit = (event, device) => {
+            if (flags.output === "ndjson") {
+                console.log(JSON.stringify({ event, ...toWatchRecord(device) }));
+            }
+        };
+
+        const render = () => {
+            if (flags.output !== "table") {
+                return;
+            }
+            const records = Array.from(devices.values(), device => ({
+                ...toWatchRecord(device),
+                first_seen: new Date(device.first_seen).toLocaleTimeString(),
+                last_seen: new Date(device.last_seen).toLocaleTimeString()
+            }));
+            const [header, ...lines] = formatTable(records, WATCH_FIELDS);
+            const colors = { online: chalk.green, stale: chalk.yellow, gone: chalk.gray };
+            const output = [
+                chalk.blue.bold(`Watching '${options.service_query.join("', '")}' on ${options.interface} (Ctrl+C to exit)`),
+                "",
+                records.length ? chalk.bold(header) : chalk.yellow("Waiting for devices..."),
+                ...(records.length ? lines.map((line, index) => colors[records[index].status](line)) : [])
+            ].join("\n");
+            // Redraw only when something changed, so piped output is not flooded.
+            if (output !== rendered) {
+                rendered = output;
+                if (process.stdout.isTTY) {
+                    console.clear();
+                }
+                console.log(output);
+            }
+        };
+
+        /**
+         * Re-evaluates stale devices, reporting the ones whose status changed.
+         */
+        const updateStatuses = () => {
+            const now = Date.now();
+            for (const device of devices.values()) {
+                const status = statusOf(device, now);
+                if (status !== device.status) {
+                    device.status = status;
+                    emit(status, device);
+                }
+            }
+            render();
+        };
+
+        return new Promise(resolve => {
+            start_mdns_listener({
+                ...options,
+                continuous: true,
+                on_service_found: service => {
+                    const now = Date.now();
+                    const known = devices.get(service.fqdn);
+                    const device = {
+                        service,
+                        status: "online",
+                        first_seen: known ? known.first_seen : now,
+                        last_seen: now,
+                        changes: known ? describePropertyChanges(known.service.properties, service.properties) : ""
+                    };
+                    devices.set(service.fqdn, device);
+                    emit("up", device);
+                    updateStatuses();
+                },
+                on_service_updated: service => {
+                    const device = devices.get(service.fqdn);
+                    if (!device) return;
+                    const changes = describePropertyChanges(device.service.properties, service.properties);
+                    if (changes) {
+                        device.changes = changes;
+                    }
+                    device.service = service;
+                    device.last_seen = Date.now();
+                    emit("update", device);
+                    updateStatuses();
+                },
+                on_service_seen: service => {
+                    const device = devices.get(service.fqdn);
+                    if (!device) return;
+                    device.service = service;
+                    device.last_seen = Date.now();
+                    updateStatuses();
+                },
+                on_service_removed: service => {
+                    const device = devices.get(service.fqdn);
+                    if (!device) return;
+                    device.status = "gone";
+                    emit("down", device);
+                    render();
+                },
+                on_error: error => {
+                    clearInterval(timer);
+                    console.error(chalk.red("❌ Error while watching:"), describeSearchError(error));
+                    resolve(EXIT_FAILURE);
+                }
+            });
+            const timer = setInterval(updateStatuses, 1000);
+            render();
+        });
+    }
+
+    /**
+     * Runs `smart-ip analyze <file>`: shows what discovery would have found in a
+     * Wireshark or tcpdump capture, and returns the exit code.
+     */
+    async function runAnalyzeCommand(file, flags) {
+        if (!file) {
+            throw new UsageError("Missing capture file for analyze");
+        }
+        let result;
+        try {
+            result = await analyze_pcap(file, buildListenerOptions(flags));
+        } catch (error) {
+            console.error(chalk.red("❌ Error analyzing capture:"), error.message);
+            return EXIT_FAILURE;
+        }
+        if (flags.output === "table") {
+            console.log(chalk.gray(`Read ${result.packets} mDNS packet(s) from ${file}`));
+        }
+        const records = result.services.map(service => {
+            const record = toServiceRecord(service);
+            delete record.interface;
+            return record;
+        });
+        writeRecords(records, ANALYZE_FIELDS, flags.output);
+        return result.services.length ? EXIT_OK : EXIT_NOT_FOUND;
+    }
+
+    /**
+     * Parses the command line and runs the requested command.
+     */
+    async function runCommand(args) {
+        const { values: flags, positionals } = parseArgs({
+            args,
+            allowPositionals: true,
+            options: {
+                service: { type: "string", multiple: true, default: ["_smart_ip._tcp"] },
+                interface: { type: "string", default: "all" },
+                family: { type: "string", default: "ipv4" },
+                timeout: { type: "string", default: "3000" },
+                "mdns-address": { type: "string" },
+                "mdns-port": { type: "string" },
+                capture: { type: "string" },
+                output: { type: "string", default: "table" },
+                help: { type: "boolean", short: "h" }
+            }
+        });
+
+        const [command, ...rest] = positionals;
+        if (flags.help || command === "help") {
+            console.log(USAGE);
+            return EXIT_OK;
+        }
+        // Only analyze takes an argument: the capture file.
+        const expected = command === "analyze" ? 1 : 0;
+        if (rest.length > expected) {
+            throw new UsageError(`Unexpected argument '${rest[expected]}'`);
+        }
+        flags.output = flags.output.toLowerCase();
+        if (!OUTPUT_FORMATS.includes(flags.output)) {
+            throw new UsageError(`Invalid --output '${flags.output}', expected one of ${OUTPUT_FORMATS.join(", ")}`);
+        }
+        switch (command) {
+            case "interfaces":
+                return runInterfacesCommand(flags);
+            case "search":
+                return runSearchCommand(flags);
+            case "watch":
+                return runWatchCommand(flags);
+            case "analyze":
+                return runAnalyzeCommand(rest[0], flags);
+            default:
+                throw new UsageError(command ? `Unknown command '${command}'` : "Missing command");
+        }
+    }
+
+    // Start the interactive menu when no arguments are given, otherwise run the command.
+    const args = process.argv.slice(2);
+    if (!args.length) {
+        await mainMenu();
+        return;
+    }
+    try {
+        process.exit(await runCommand(args));
+    } catch (error) {
+        // parseArgs reports unknown or malformed flags with ERR_PARSE_ARGS_* codes
+        if (error instanceof UsageError || (error.code && error.code.startsWith("ERR_PARSE_ARGS"))) {
+            console.error(chalk.red(`❌ ${error.message}`));
+            console.error(`\n${USAGE}`);
+            process.exit(EXIT_USAGE);
+        }
+        console.error(chalk.red("❌ An unexpected error occurred:"), error.message);
+        process.exit(EXIT_FAILURE);
+    }
 })();
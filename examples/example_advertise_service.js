@@ -0,0 +1,15 @@
+const { advertise_service } = require('../src/mdns_responder');
+
+const advertiser = advertise_service({
+    name: 'Test-Rig-1',
+    port: 8080,
+    txt: { model: 'soft-device', location: 'Lab' },
+    interface: '169.254.137.22',
+    service_type: '_smart_ip._tcp'
+});
+
+// Send goodbye packets before exiting so browsers drop the service immediately.
+process.on('SIGINT', async () => {
+    await advertiser.stop();
+    process.exit(0);
+});
@@ -5,6 +5,7 @@ const options = {
     mdns_port: 5353,
     interface: '169.254.137.22',
     service_query: '_smart_ip._tcp',
+    logger: console, // The library is silent unless given a logger
     timeout: 2000, // dynamic timeout (can be changed)
     on_service_found: (service) => {
         console.log('Service discovered:', service);
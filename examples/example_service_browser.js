@@ -0,0 +1,20 @@
+const { ServiceBrowser } = require('../src/mdns_lib');
+
+const browser = new ServiceBrowser({
+    interface: '169.254.137.22',
+    service_query: '_smart_ip._tcp',
+    continuous: true // Keep re-querying until stopped
+});
+
+browser
+    .on('up', (service) => console.log('Service up:', service))
+    .on('update', (service) => console.log('Service updated:', service))
+    .on('down', (service) => console.log('Service down:', service.name))
+    .on('error', (error) => console.error('Browser error:', error.message))
+    .start();
+
+// Stop browsing after a minute and print what is still online.
+setTimeout(() => {
+    browser.stop();
+    console.log('Services online:', browser.services);
+}, 60000);
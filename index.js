@@ -1,8 +1,23 @@
 // index.js
 const mdnsLib = require('./src/mdns_lib');
 const { list_interfaces } = require('./src/list_interfaces');
+const { advertise_service } = require('./src/mdns_responder');
+const { DnsParseError, InterfaceNotFoundError, BindError, MembershipError } = require('./src/errors');
+const { RecordCache } = require('./src/record_cache');
+const { udp_transport, VirtualLan } = require('./src/transport');
+const { read_pcap, analyze_pcap } = require('./src/pcap');
 
 module.exports = {
     ...mdnsLib,
     list_interfaces,
+    advertise_service,
+    DnsParseError,
+    InterfaceNotFoundError,
+    BindError,
+    MembershipError,
+    RecordCache,
+    udp_transport,
+    VirtualLan,
+    read_pcap,
+    analyze_pcap,
 };
\ No newline at end of file
@@ -0,0 +1,145 @@
+const fs = require('fs');
+const EventEmitter = require('events');
+
+/**
+ * Builds one capture entry for a received packet.
+ *
+ * @param {Buffer} msg - The raw packet.
+ * @param {object} rinfo - The sender, as reported by dgram.
+ * @param {object} link - The local interface the packet was attributed to.
+ * @param {number} timestamp - The time the packet was received, in milliseconds.
+ * @returns {object} The entry: `timestamp`, `interface` ({ address, name, netmask, scopeid }),
+ *   `rinfo` ({ address, family, port, size }) and `payload` (base64).
+ */
+function create_capture_entry(msg, rinfo, link, timestamp) {
+    return {
+        timestamp,
+        interface: {
+            address: link.address,
+            name: link.name,
+            netmask: link.netmask,
+            scopeid: link.scopeid
+        },
+        rinfo: {
+            address: rinfo.address,
+            family: rinfo.family,
+            port: rinfo.port,
+            size: rinfo.size
+        },
+        payload: msg.toString('base64')
+    };
+}
+
+/**
+ * Opens a capture destination that packets are appended to as JSON lines.
+ *
+ * @param {string|stream.Writable} capture - A file path (appended to) or a writable stream.
+ * @param {object} logger - Logger used to report write failures.
+ * @returns {{write: function(object): void, close: function(): void}} The capture writer. `close()` only
+ *   ends streams the writer opened itself.
+ */
+function create_capture_writer(capture, logger) {
+    const owned = typeof capture === 'string';
+    const stream = owned ? fs.createWriteStream(capture, { flags: 'a' }) : capture;
+    // A failing capture should not stop discovery.
+    stream.on('error', (error) => {
+        logger.error(`Error writing mDNS capture: ${error.message}`);
+    });
+    return {
+        write(entry) {
+            stream.write(JSON.stringify(entry) + '\n');
+        },
+        close() {
+            if (owned) {
+                stream.end();
+            }
+        }
+    };
+}
+
+/**
+ * Reads capture entries written by create_capture_writer.
+ *
+ * @param {string|Array<object>} source - The path of a JSON lines capture file, or the entries themselves.
+ * @returns {Array<object>} The entries, in the order they were captured.
+ * @throws Will throw an error if the file cannot be read or a line is not a valid entry.
+ */
+function read_capture(source) {
+    if (Array.isArray(source)) {
+        return source;
+    }
+    let content;
+    try {
+        content = fs.readFileSync(source, 'utf8');
+    } catch (error) {
+        throw new Error(`Error reading capture: ${error.message}`);
+    }
+    const entries = [];
+    content.split('\n').forEach((line, index) => {
+        if (!line.trim()) return;
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        } catch (error) {
+            throw new Error(`Error reading capture: line ${index + 1} is not valid JSON`);
+        }
+        if (typeof entry.payload !== 'string' || typeof entry.timestamp !== 'number' || !entry.rinfo) {
+            throw new Error(`Error reading capture: line ${index + 1} is not a capture entry`);
+        }
+        entries.push(entry);
+    });
+    return entries;
+}
+
+/**
+ * A stand-in for a dgram socket that replays captured packets instead of using
+ * the network. Packets sent through it are discarded.
+ *
+ * @extends EventEmitter
+ */
+class ReplaySocket extends EventEmitter {
+    constructor() {
+        super();
+        this.closed = false;
+    }
+
+    bind(port, address, callback) {
+        if (callback) {
+            process.nextTick(callback);
+        }
+    }
+
+    addMembership() {}
+
+    setMulticastInterface() {}
+
+    send(msg, offset, length, port, address, callback) {
+        if (callback) {
+            process.nextTick(callback, null);
+        }
+    }
+
+    /**
+     * Delivers a captured packet as if it had been received.
+     *
+     * @param {object} entry - A capture entry.
+     */
+    replay(entry) {
+        this.emit('message', Buffer.from(entry.payload, 'base64'), entry.rinfo);
+    }
+
+    close() {
+        if (this.closed) {
+            throw new Error('Not running');
+        }
+        this.closed = true;
+        this.emit('close');
+    }
+}
+
+module.exports = {
+    create_capture_entry,
+    create_capture_writer,
+    read_capture,
+    ReplaySocket,
+};
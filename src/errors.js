@@ -0,0 +1,79 @@
+/**
+ * Raised when a received DNS message is malformed or malicious.
+ *
+ * mDNS listens on a shared multicast segment where any host can send, so the
+ * parser treats every length and compression pointer as untrusted input.
+ *
+ * @property {number} offset - The buffer offset at which the problem was detected.
+ * @property {string} reason - A short description of the problem.
+ */
+class DnsParseError extends Error {
+    constructor(reason, offset) {
+        super(`Malformed DNS message at offset ${offset}: ${reason}`);
+        this.name = 'DnsParseError';
+        this.reason = reason;
+        this.offset = offset;
+    }
+}
+
+/**
+ * Raised when the requested network interface does not exist on this host,
+ * e.g. an unknown interface name or an IP address no local interface owns.
+ *
+ * @property {string} interface - The interface name or address that was requested.
+ * @property {string} family - The address family that was searched ('IPv4' or 'IPv6').
+ */
+class InterfaceNotFoundError extends Error {
+    constructor(interface_name, family) {
+        super(`No ${family} interface found for '${interface_name}'`);
+        this.name = 'InterfaceNotFoundError';
+        this.interface = interface_name;
+        this.family = family;
+    }
+}
+
+/**
+ * Raised when the socket cannot bind to the mDNS port, e.g. EADDRINUSE when
+ * another process holds port 5353 exclusively, or EADDRNOTAVAIL.
+ *
+ * @property {string} address - The address the socket tried to bind to.
+ * @property {number} port - The port the socket tried to bind to.
+ * @property {string} code - The system error code.
+ * @property {Error} cause - The underlying socket error.
+ */
+class BindError extends Error {
+    constructor(address, port, cause) {
+        super(`Could not bind to ${address}:${port}: ${cause.message}`);
+        this.name = 'BindError';
+        this.address = address;
+        this.port = port;
+        this.code = cause.code;
+        this.cause = cause;
+    }
+}
+
+/**
+ * Raised when the socket cannot join the mDNS multicast group on an interface.
+ *
+ * @property {string} multicast_address - The multicast group (e.g. '224.0.0.251').
+ * @property {string} interface - The local interface the membership was requested on.
+ * @property {string} code - The system error code.
+ * @property {Error} cause - The underlying socket error.
+ */
+class MembershipError extends Error {
+    constructor(multicast_address, interface_address, cause) {
+        super(`Could not join multicast group ${multicast_address} on ${interface_address}: ${cause.message}`);
+        this.name = 'MembershipError';
+        this.multicast_address = multicast_address;
+        this.interface = interface_address;
+        this.code = cause.code;
+        this.cause = cause;
+    }
+}
+
+module.exports = {
+    DnsParseError,
+    InterfaceNotFoundError,
+    BindError,
+    MembershipError,
+};
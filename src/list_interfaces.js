@@ -14,8 +14,10 @@ const os = require('os');
  *   name: string,      // The name of the interface (e.g. 'eth0', 'Wi-Fi')
  *   address: string,   // The IP address assigned to the interface
  *   family: string,    // The IP address family ('IPv4' or 'IPv6')
+ *   netmask: string,   // The network mask of the address
  *   mac: string,       // The MAC address of the interface
- *   internal: boolean  // True if the interface is internal (e.g. loopback)
+ *   internal: boolean, // True if the interface is internal (e.g. loopback)
+ *   scopeid?: number   // The IPv6 scope ID (only present for IPv6 addresses)
  * }
  *
  * @throws Will throw an error if there is an issue retrieving the network interfaces.
@@ -30,13 +32,19 @@ function list_interfaces() {
             const iface = interfaces[name];
             // Some interfaces may have multiple addresses (IPv4, IPv6)
             for (const alias of iface) {
-                result.push({
+                const entry = {
                     name,
                     address: alias.address,
                     family: alias.family,
+                    netmask: alias.netmask,
                     mac: alias.mac,
                     internal: alias.internal,
-                });
+                };
+                // IPv6 addresses carry a scope ID needed for link-local multicast
+                if (alias.scopeid !== undefined) {
+                    entry.scopeid = alias.scopeid;
+                }
+                result.push(entry);
             }
         }
         return result;
@@ -0,0 +1,25 @@
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+const noop = () => {};
+
+/**
+ * Normalizes the `logger` option accepted by the library.
+ *
+ * The library is silent unless a logger is supplied. Any object exposing some
+ * of `debug`, `info`, `warn` and `error` works, including `console`, pino and
+ * winston; missing levels are ignored. Messages are passed as a single string.
+ *
+ * @param {object} [logger] - The logger supplied by the caller.
+ * @returns {{debug: function, info: function, warn: function, error: function}} A logger with every level.
+ */
+function create_logger(logger) {
+    const result = {};
+    for (const level of LEVELS) {
+        result[level] = logger && typeof logger[level] === 'function' ? logger[level].bind(logger) : noop;
+    }
+    return result;
+}
+
+module.exports = {
+    create_logger,
+};
@@ -1,62 +1,228 @@
-const dgram = require('dgram');
+const net = require('net');
+const EventEmitter = require('events');
+const { list_interfaces } = require('./list_interfaces');
+const { DnsParseError, InterfaceNotFoundError, BindError, MembershipError } = require('./errors');
+const { RecordCache } = require('./record_cache');
+const { create_logger } = require('./logger');
+const { udp_transport } = require('./transport');
+const { create_capture_entry, create_capture_writer, read_capture, ReplaySocket } = require('./capture');
+
+// Upper bounds used to reject malformed or malicious packets.
+const MAX_NAME_LENGTH = 255;
+const MAX_POINTER_HOPS = 126;
+
+// Continuous browsing re-queries after 1s, then doubles the interval up to one hour (RFC 6762, section 5.2).
+const INITIAL_QUERY_INTERVAL = 1000;
+const MAX_QUERY_INTERVAL = 60 * 60 * 1000;
+
+// Follow-up queries for incomplete services start after 1s and double until the per-service timeout.
+const INITIAL_RESOLVE_INTERVAL = 1000;
+const DEFAULT_RESOLVE_TIMEOUT = 5000;
+
+// Querying this name for PTR records lists the service types on the network (RFC 6763, section 9).
+const SERVICE_TYPE_ENUMERATION = '_services._dns-sd._udp';
+
+// Upper bound for a single label on the wire (RFC 1035, section 2.3.4).
+const MAX_LABEL_LENGTH = 63;
+
+// Record types with built-in support, by type number.
+const RECORD_TYPE_NAMES = new Map([
+    [1, 'A'],
+    [5, 'CNAME'],
+    [12, 'PTR'],
+    [13, 'HINFO'],
+    [16, 'TXT'],
+    [28, 'AAAA'],
+    [33, 'SRV'],
+    [41, 'OPT'],
+    [47, 'NSEC'],
+    [255, 'ANY'],
+]);
+
+// Record types registered through register_record_type(), by type number: { name, decode, encode }
+const custom_record_types = new Map();
+
+/**
+ * Splits a domain name into its labels.
+ *
+ * Names are written in the escaped presentation format of RFC 6763, section 4.3:
+ * a dot or backslash inside a label is preceded by a backslash, so an instance
+ * name like 'Studio 1.2 Monitor' is written 'Studio 1\.2 Monitor._smart_ip._tcp.local'.
+ * `\DDD` decimal escapes are accepted as well; each stands for one octet, and the
+ * octets of a label are decoded as UTF-8. Empty labels (e.g. the root in 'local.')
+ * are dropped.
+ *
+ * @param {string|Array<string>} name - The escaped domain name, or an array of labels (returned as is).
+ * @returns {Array<string>} The unescaped labels.
+ */
+function split_name(name) {
+    if (Array.isArray(name)) {
+        return name;
+    }
+    // Iterate by code point so characters outside the BMP stay whole
+    const chars = Array.from(name);
+    const labels = [];
+    // A `\DDD` escape is a single octet, so labels are collected as bytes and decoded once complete
+    let bytes = [];
+    const end_label = () => {
+        labels.push(Buffer.from(bytes).toString('utf8'));
+        bytes = [];
+    };
+    for (let i = 0; i < chars.length; i++) {
+        const char = chars[i];
+        if (char === '\\' && i + 1 < chars.length) {
+            const digits = chars.slice(i + 1, i + 4).join('');
+            if (/^[0-9]{3}$/.test(digits) && parseInt(digits, 10) <= 255) {
+                bytes.push(parseInt(digits, 10));
+                i += 3;
+            } else {
+                bytes.push(...Buffer.from(chars[++i], 'utf8'));
+            }
+        } else if (char === '.') {
+            end_label();
+        } else {
+            bytes.push(...Buffer.from(char, 'utf8'));
+        }
+    }
+    end_label();
+    return labels.filter(Boolean);
+}
+
+/**
+ * Joins labels into a domain name, escaping dots and backslashes inside labels
+ * (RFC 6763, section 4.3). The inverse of split_name.
+ *
+ * @param {Array<string>} labels - The unescaped labels.
+ * @returns {string} The escaped domain name.
+ */
+function join_name(labels) {
+    return labels.map(label => label.replace(/[\\.]/g, '\\$&')).join('.');
+}
+
+/**
+ * Encodes a single label with its length prefix. The length is the UTF-8 byte
+ * length, which differs from the character count for non-ASCII names.
+ *
+ * @param {string} label - The unescaped label.
+ * @returns {Buffer} The length byte followed by the label bytes.
+ * @throws Will throw an error if the label is empty or longer than 63 bytes.
+ */
+function encode_label(label) {
+    const bytes = Buffer.from(label, 'utf8');
+    if (!bytes.length) {
+        throw new Error('Empty labels are not allowed');
+    }
+    if (bytes.length > MAX_LABEL_LENGTH) {
+        throw new Error(`Label '${label}' is ${bytes.length} bytes, the maximum is ${MAX_LABEL_LENGTH}`);
+    }
+    return Buffer.concat([Buffer.from([bytes.length]), bytes]);
+}
+
+/**
+ * Encodes a domain name as a sequence of length-prefixed labels.
+ *
+ * @param {string|Array<string>} name - The escaped domain name (e.g. '_smart_ip._tcp.local'), or an array of labels.
+ * @returns {Buffer} The encoded name, terminated with a zero byte.
+ * @throws Will throw an error if a label exceeds 63 bytes or the name exceeds 255 bytes.
+ */
+function encode_name(name) {
+    try {
+        const buffer_array = split_name(name).map(encode_label);
+        // Terminate with a zero byte
+        buffer_array.push(Buffer.from([0]));
+        const encoded = Buffer.concat(buffer_array);
+        if (encoded.length > MAX_NAME_LENGTH) {
+            throw new Error(`Name is ${encoded.length} bytes, the maximum is ${MAX_NAME_LENGTH}`);
+        }
+        return encoded;
+    } catch (error) {
+        throw new Error(`Error encoding name: ${error.message}`);
+    }
+}
 
 /**
  * Build a DNS query packet for the specified mDNS service.
  *
- * @param {string} [service_query='_smart_ip._tcp'] - The mDNS service query.
+ * Several service types and subtypes (e.g. '_speaker._sub._smart_ip._tcp') can
+ * be asked for at once; each becomes one question in the same packet.
+ *
+ * @param {string|Array<string>} [service_query='_smart_ip._tcp'] - The mDNS service query, or an array of them.
+ * @param {Array<object>} [known_answers=[]] - PTR records the querier already holds, listed in the
+ *   answer section so responders can suppress them (RFC 6762, section 7.1).
  * @returns {Buffer} The DNS query packet.
  * @throws Will throw an error if the query cannot be built.
  */
-function build_query(service_query = '_smart_ip._tcp') {
+function build_query(service_query = '_smart_ip._tcp', known_answers = []) {
     try {
-        const full_service_query = service_query + '.local';
-        const header = Buffer.alloc(12);
-        header.writeUInt16BE(0, 0);      // ID = 0 (mDNS uses 0)
-        header.writeUInt16BE(0, 2);      // Flags = 0
-        header.writeUInt16BE(1, 4);      // QDCOUNT = 1
-        header.writeUInt16BE(0, 6);      // ANCOUNT = 0
-        header.writeUInt16BE(0, 8);      // NSCOUNT = 0
-        header.writeUInt16BE(0, 10);     // ARCOUNT = 0
-
-        // Build the QNAME for the full service query (e.g. "_smart_ip._tcp.local")
-        const qname_parts = full_service_query.split('.');
-        let qname_buffer_array = [];
-        for (const part of qname_parts) {
-            if (!part) continue;
-            const len = Buffer.alloc(1);
-            len.writeUInt8(part.length, 0);
-            qname_buffer_array.push(len);
-            qname_buffer_array.push(Buffer.from(part));
-        }
-        // Terminate with a zero byte
-        qname_buffer_array.push(Buffer.from([0]));
-        const qname_buffer = Buffer.concat(qname_buffer_array);
-
+        const service_queries = Array.isArray(service_query) ? service_query : [service_query];
         // Question section: QTYPE (PTR = 12) and QCLASS (IN = 1)
-        const question = Buffer.alloc(4);
-        question.writeUInt16BE(12, 0);
-        question.writeUInt16BE(1, 2);
-
-        return Buffer.concat([header, qname_buffer, question]);
+        return encode_dns_message({
+            header: { id: 0, flags: 0 }, // mDNS uses ID 0 and no flags for queries
+            questions: service_queries.map(query => ({ name: query + '.local', qtype: 12, qclass: 1 })),
+            answers: known_answers
+        });
     } catch (error) {
         throw new Error(`Error building query: ${error.message}`);
     }
 }
 
+/**
+ * Ensures that `length` bytes starting at `offset` lie within `limit`.
+ *
+ * @param {number} offset - The offset of the first byte.
+ * @param {number} length - The number of bytes required.
+ * @param {number} limit - The exclusive end of the readable region.
+ * @param {string} what - Description of the field, used in the error.
+ * @throws {DnsParseError} If the bytes extend past the limit.
+ */
+function ensure_available(offset, length, limit, what) {
+    if (offset + length > limit) {
+        throw new DnsParseError(`${what} needs ${length} byte(s) but only ${Math.max(limit - offset, 0)} remain`, offset);
+    }
+}
+
+/**
+ * Re-throws an error as a DnsParseError, keeping existing DnsParseErrors intact.
+ *
+ * @param {Error} error - The caught error.
+ * @param {string} context - What was being parsed.
+ * @param {number} offset - The offset where parsing started.
+ * @throws {DnsParseError} Always.
+ */
+function rethrow_parse_error(error, context, offset) {
+    if (error instanceof DnsParseError) {
+        throw error;
+    }
+    throw new DnsParseError(`${context}: ${error.message}`, offset);
+}
+
 /**
  * Reads a domain name from a buffer, supporting DNS compression.
  *
+ * Compression pointers must point strictly backwards, the number of pointer hops
+ * is capped, and the name may not exceed 255 bytes on the wire. Labels are
+ * decoded as UTF-8; dots and backslashes inside labels are escaped in `name`
+ * (see split_name), while `labels` holds them unescaped.
+ *
  * @param {Buffer} buffer - The buffer to read from.
  * @param {number} offset - The offset in the buffer.
- * @returns {{name: string, read_bytes: number}} The domain name and the number of bytes read.
- * @throws Will throw an error if the name cannot be read.
+ * @param {number} [limit=buffer.length] - The exclusive end of the region the uncompressed part must fit in.
+ * @returns {{name: string, labels: Array<string>, read_bytes: number}} The escaped domain name, its labels
+ *   and the offset just past it.
+ * @throws {DnsParseError} If the name is malformed.
  */
-function read_name(buffer, offset) {
+function read_name(buffer, offset, limit = buffer.length) {
+    const start_offset = offset;
     try {
         let labels = [];
         let jumped = false;
         let original_offset = offset;
+        let hops = 0;
+        // Each pointer must land before the previous jump target, which rules out loops
+        let lowest_target = offset;
+        let name_length = 1; // The terminating zero byte
         while (true) {
+            ensure_available(offset, 1, jumped ? buffer.length : limit, 'Label length');
             const length = buffer.readUInt8(offset);
             if (length === 0) {
                 offset += 1;
@@ -64,89 +230,706 @@ function read_name(buffer, offset) {
             }
             // Check for pointer (two highest bits set)
             if ((length & 0xC0) === 0xC0) {
+                ensure_available(offset, 2, jumped ? buffer.length : limit, 'Compression pointer');
                 const pointer = ((length & 0x3F) << 8) | buffer.readUInt8(offset + 1);
+                if (pointer >= lowest_target) {
+                    throw new DnsParseError(`Compression pointer to ${pointer} does not point backwards`, offset);
+                }
+                if (++hops > MAX_POINTER_HOPS) {
+                    throw new DnsParseError('Too many compression pointers', offset);
+                }
                 if (!jumped) {
                     original_offset = offset + 2;
                 }
                 offset = pointer;
+                lowest_target = pointer;
                 jumped = true;
                 continue;
             }
+            if (length & 0xC0) {
+                throw new DnsParseError(`Unsupported label type 0x${(length & 0xC0).toString(16)}`, offset);
+            }
+            name_length += length + 1;
+            if (name_length > MAX_NAME_LENGTH) {
+                throw new DnsParseError(`Name exceeds ${MAX_NAME_LENGTH} bytes`, start_offset);
+            }
             offset += 1;
+            ensure_available(offset, length, jumped ? buffer.length : limit, 'Label');
             const label = buffer.toString('utf8', offset, offset + length);
             labels.push(label);
             offset += length;
         }
-        return { name: labels.join('.'), read_bytes: jumped ? original_offset : offset };
+        return { name: join_name(labels), labels, read_bytes: jumped ? original_offset : offset };
+    } catch (error) {
+        rethrow_parse_error(error, 'Error reading name from buffer', start_offset);
+    }
+}
+
+/**
+ * Parses a single entry of the question section.
+ *
+ * The top bit of QCLASS is the mDNS unicast-response bit (RFC 6762, section 5.4); it is
+ * reported separately and masked off `qclass`.
+ *
+ * @param {Buffer} buffer - The buffer containing the DNS message.
+ * @param {number} offset - The starting offset of the question.
+ * @returns {{name: string, qtype: number, qclass: number, unicast_response: boolean, offset: number}}
+ *   The parsed question and the new offset.
+ * @throws {DnsParseError} If the question is malformed.
+ */
+function parse_question(buffer, offset) {
+    const start_offset = offset;
+    try {
+        const name_result = read_name(buffer, offset);
+        offset = name_result.read_bytes;
+        ensure_available(offset, 4, buffer.length, 'Question type and class');
+        const qtype = buffer.readUInt16BE(offset);
+        const raw_class = buffer.readUInt16BE(offset + 2);
+        return {
+            name: name_result.name,
+            qtype,
+            qclass: raw_class & 0x7FFF,
+            unicast_response: (raw_class & 0x8000) !== 0,
+            offset: offset + 4
+        };
+    } catch (error) {
+        rethrow_parse_error(error, 'Error parsing question', start_offset);
+    }
+}
+
+/**
+ * Formats 16 raw bytes as a canonical IPv6 address string (RFC 5952).
+ *
+ * Leading zeros are stripped from each group and the longest run of two or
+ * more zero groups is compressed to '::'.
+ *
+ * @param {Buffer} buffer - The buffer containing the address.
+ * @param {number} offset - The offset of the first address byte.
+ * @returns {string} The canonical IPv6 address.
+ * @throws Will throw an error if the address cannot be read.
+ */
+function format_ipv6(buffer, offset) {
+    try {
+        const groups = [];
+        for (let i = 0; i < 8; i++) {
+            groups.push(buffer.readUInt16BE(offset + i * 2));
+        }
+
+        // Find the longest run of zero groups (first one wins on ties)
+        let best_start = -1;
+        let best_length = 0;
+        for (let i = 0; i < 8;) {
+            if (groups[i] !== 0) {
+                i++;
+                continue;
+            }
+            let j = i;
+            while (j < 8 && groups[j] === 0) j++;
+            if (j - i > best_length) {
+                best_start = i;
+                best_length = j - i;
+            }
+            i = j;
+        }
+
+        const hex = groups.map(group => group.toString(16));
+        if (best_length < 2) {
+            return hex.join(':');
+        }
+        const head = hex.slice(0, best_start).join(':');
+        const tail = hex.slice(best_start + best_length).join(':');
+        return `${head}::${tail}`;
+    } catch (error) {
+        throw new Error(`Error formatting IPv6 address: ${error.message}`);
+    }
+}
+
+/**
+ * Converts an IPv6 address string into its 16 raw bytes.
+ *
+ * @param {string} address - The IPv6 address (e.g. 'fe80::1'). A trailing '%scope' is ignored.
+ * @returns {Buffer} The 16-byte address.
+ * @throws Will throw an error if the address is not a valid IPv6 address.
+ */
+function parse_ipv6(address) {
+    try {
+        const plain = address.split('%')[0];
+        if (!net.isIPv6(plain)) {
+            throw new Error(`Invalid IPv6 address: ${address}`);
+        }
+        const halves = plain.split('::');
+        const to_groups = (part) => {
+            if (!part) return [];
+            const groups = part.split(':');
+            // An embedded IPv4 suffix (e.g. '::ffff:192.0.2.1') covers two groups
+            const last = groups[groups.length - 1];
+            if (last.includes('.')) {
+                const octets = last.split('.').map(Number);
+                groups.splice(-1, 1, ((octets[0] << 8) | octets[1]).toString(16), ((octets[2] << 8) | octets[3]).toString(16));
+            }
+            return groups;
+        };
+        const head = to_groups(halves[0]);
+        const tail = halves.length > 1 ? to_groups(halves[1]) : [];
+        const zeros = new Array(8 - head.length - tail.length).fill('0');
+        const groups = halves.length > 1 ? [...head, ...zeros, ...tail] : head;
+
+        const bytes = Buffer.alloc(16);
+        groups.forEach((group, index) => bytes.writeUInt16BE(parseInt(group, 16), index * 2));
+        return bytes;
+    } catch (error) {
+        throw new Error(`Error parsing IPv6 address: ${error.message}`);
+    }
+}
+
+/**
+ * Encodes a list of record types as NSEC type bitmaps (RFC 4034, section 4.1.2).
+ *
+ * @param {Array<number>} types - The record types present at the owner name.
+ * @returns {Buffer} The encoded window blocks.
+ */
+function encode_type_bitmaps(types) {
+    const windows = new Map();
+    for (const type of types) {
+        const window = type >> 8;
+        if (!windows.has(window)) {
+            windows.set(window, Buffer.alloc(32));
+        }
+        const bitmap = windows.get(window);
+        const bit = type & 0xFF;
+        bitmap[bit >> 3] |= 0x80 >> (bit & 7);
+    }
+
+    const blocks = [];
+    for (const window of [...windows.keys()].sort((a, b) => a - b)) {
+        const bitmap = windows.get(window);
+        // Trailing zero octets are omitted from each window
+        let length = 32;
+        while (length > 0 && bitmap[length - 1] === 0) length--;
+        blocks.push(Buffer.from([window, length]), bitmap.subarray(0, length));
+    }
+    return Buffer.concat(blocks);
+}
+
+/**
+ * Decodes NSEC type bitmaps (RFC 4034, section 4.1.2) into a list of record types.
+ *
+ * @param {Buffer} buffer - The buffer containing the bitmaps.
+ * @param {number} offset - The offset of the first window block.
+ * @param {number} end - The end of the record data.
+ * @returns {Array<number>} The record types, in ascending order.
+ * @throws {DnsParseError} If a window block is malformed.
+ */
+function decode_type_bitmaps(buffer, offset, end) {
+    const types = [];
+    while (offset < end) {
+        ensure_available(offset, 2, end, 'NSEC window block');
+        const window = buffer.readUInt8(offset);
+        const length = buffer.readUInt8(offset + 1);
+        if (length < 1 || length > 32) {
+            throw new DnsParseError(`NSEC bitmap has length ${length}, expected 1 to 32`, offset);
+        }
+        offset += 2;
+        ensure_available(offset, length, end, 'NSEC bitmap');
+        for (let i = 0; i < length; i++) {
+            const octet = buffer.readUInt8(offset + i);
+            for (let bit = 0; bit < 8; bit++) {
+                if (octet & (0x80 >> bit)) {
+                    types.push(window * 256 + i * 8 + bit);
+                }
+            }
+        }
+        offset += length;
+    }
+    return types;
+}
+
+/**
+ * Encodes a DNS character-string: a length byte followed by up to 255 bytes.
+ *
+ * @param {string} value - The string, encoded as UTF-8.
+ * @returns {Buffer} The encoded character-string.
+ * @throws Will throw an error if the string exceeds 255 bytes.
+ */
+function encode_character_string(value) {
+    const bytes = Buffer.from(String(value === undefined ? '' : value), 'utf8');
+    if (bytes.length > 255) {
+        throw new Error(`Character-string exceeds 255 bytes (${bytes.length})`);
+    }
+    return Buffer.concat([Buffer.from([bytes.length]), bytes]);
+}
+
+/**
+ * Reads a DNS character-string.
+ *
+ * @param {Buffer} buffer - The buffer to read from.
+ * @param {number} offset - The offset of the length byte.
+ * @param {number} end - The end of the record data.
+ * @param {string} what - What is being read, for error messages.
+ * @returns {{value: string, offset: number}} The string, decoded as UTF-8, and the offset just past it.
+ * @throws {DnsParseError} If the string runs past the end of the record.
+ */
+function read_character_string(buffer, offset, end, what) {
+    ensure_available(offset, 1, end, what);
+    const length = buffer.readUInt8(offset);
+    ensure_available(offset + 1, length, end, what);
+    return { value: buffer.toString('utf8', offset + 1, offset + 1 + length), offset: offset + 1 + length };
+}
+
+/**
+ * Builds the string map of TXT attributes (RFC 6763, section 6).
+ *
+ * Keys are case-insensitive and only the first occurrence of a key counts; it
+ * keeps the case it was sent with. Values are decoded as UTF-8, and attributes
+ * without '=' are boolean and map to true.
+ *
+ * @param {Array<{key: Buffer, value: Buffer|null}>} txt - The attributes in record order, as in a
+ *   parsed TXT record's `txt`.
+ * @returns {object} The map of key to string value (or true).
+ */
+function txt_properties(txt) {
+    const properties = {};
+    const seen = new Set();
+    for (const { key, value } of txt) {
+        const name = key.toString('utf8');
+        if (seen.has(name.toLowerCase())) continue;
+        seen.add(name.toLowerCase());
+        properties[name] = value === null ? true : value.toString('utf8');
+    }
+    return properties;
+}
+
+/**
+ * Looks up a TXT attribute by key, case-insensitively, with the first occurrence winning (RFC 6763, section 6.4).
+ *
+ * @param {Array<{key: Buffer, value: Buffer|null}>} txt - The attributes, as in a service's or TXT record's `txt`.
+ * @param {string} key - The key to look up.
+ * @returns {Buffer|null|undefined} The raw value, null for a boolean attribute, or undefined if the key is absent.
+ */
+function get_txt_value(txt, key) {
+    const wanted = key.toLowerCase();
+    const entry = txt.find(candidate => candidate.key.toString('utf8').toLowerCase() === wanted);
+    return entry ? entry.value : undefined;
+}
+
+/**
+ * Returns the mnemonic of a record type.
+ *
+ * @param {number} type - The record type.
+ * @returns {string} The name of a built-in or registered type (e.g. 'SRV'), otherwise the
+ *   generic 'TYPE<number>' form of RFC 3597 (e.g. 'TYPE65280').
+ */
+function record_type_name(type) {
+    if (RECORD_TYPE_NAMES.has(type)) {
+        return RECORD_TYPE_NAMES.get(type);
+    }
+    return custom_record_types.has(type) ? custom_record_types.get(type).name : `TYPE${type}`;
+}
+
+/**
+ * Registers a decoder for a record type the library does not know, such as a
+ * vendor-specific type, so parse_record returns its data decoded.
+ *
+ * Registering a type again replaces its definition.
+ *
+ * @param {number} type - The record type number.
+ * @param {object} definition - The type definition.
+ * @param {string} definition.name - The type's mnemonic, reported as `type_name`.
+ * @param {function(Buffer, number, number): *} definition.decode - Decodes the RDATA. Receives the whole
+ *   message, the offset of the RDATA and its exclusive end, so compressed names can be read with read_name().
+ *   Errors thrown are reported as DnsParseErrors.
+ * @param {function(*): Buffer} [definition.encode] - Encodes the RDATA for encode_rdata and encode_dns_message.
+ * @throws Will throw an error if the type is not a 16-bit number, has built-in support, or the definition
+ *   lacks a name or decoder.
+ */
+function register_record_type(type, definition = {}) {
+    if (!Number.isInteger(type) || type < 0 || type > 0xFFFF) {
+        throw new Error(`Error registering record type: ${type} is not a valid type number`);
+    }
+    if (RECORD_TYPE_NAMES.has(type)) {
+        throw new Error(`Error registering record type: ${RECORD_TYPE_NAMES.get(type)} (${type}) is built in`);
+    }
+    if (!definition.name || typeof definition.decode !== 'function') {
+        throw new Error('Error registering record type: a name and a decode function are required');
+    }
+    custom_record_types.set(type, {
+        name: definition.name,
+        decode: definition.decode,
+        encode: typeof definition.encode === 'function' ? definition.encode : null
+    });
+}
+
+/**
+ * Encodes the RDATA of a DNS record.
+ *
+ * @param {number} type - The record type.
+ * @param {*} rdata - The record data, in the shape produced by parse_record.
+ *   TXT data is given as a string map or as ordered `{ key, value }` entries whose values may be Buffers
+ *   (`null` for a boolean attribute). NSEC data is given as `{ next_domain, types }`, HINFO as `{ cpu, os }`
+ *   and OPT as `{ options }`;
+ *   registered types use their encoder and other types take a raw Buffer.
+ * @returns {Buffer} The encoded RDATA.
+ * @throws Will throw an error if the record data cannot be encoded.
+ */
+function encode_rdata(type, rdata) {
+    try {
+        if (type === 12) { // PTR record
+            return encode_name(rdata);
+        } else if (type === 33) { // SRV record
+            const fixed = Buffer.alloc(6);
+            fixed.writeUInt16BE(rdata.priority || 0, 0);
+            fixed.writeUInt16BE(rdata.weight || 0, 2);
+            fixed.writeUInt16BE(rdata.port, 4);
+            return Buffer.concat([fixed, encode_name(rdata.target)]);
+        } else if (type === 16) { // TXT record
+            const strings = [];
+            // Ordered { key, value } entries may carry Buffers; an object is a plain string map
+            const entries = Array.isArray(rdata)
+                ? rdata
+                : Object.keys(rdata).map(key => ({ key, value: rdata[key] === true ? null : rdata[key] }));
+            for (const { key, value } of entries) {
+                const txt = value === null || value === undefined || value === true
+                    ? Buffer.from(key)
+                    : Buffer.concat([Buffer.from(key), Buffer.from('='), Buffer.isBuffer(value) ? value : Buffer.from(String(value))]);
+                if (txt.length > 255) {
+                    throw new Error(`TXT string for key '${key}' exceeds 255 bytes`);
+                }
+                strings.push(Buffer.from([txt.length]), txt);
+            }
+            // An empty TXT record still carries a single zero-length string
+            return strings.length ? Buffer.concat(strings) : Buffer.from([0]);
+        } else if (type === 1) { // A record
+            return Buffer.from(rdata.split('.').map(Number));
+        } else if (type === 28) { // AAAA record
+            return parse_ipv6(rdata);
+        } else if (type === 47) { // NSEC record
+            return Buffer.concat([encode_name(rdata.next_domain), encode_type_bitmaps(rdata.types || [])]);
+        } else if (type === 5) { // CNAME record
+            return encode_name(rdata);
+        } else if (type === 13) { // HINFO record
+            return Buffer.concat([encode_character_string(rdata.cpu), encode_character_string(rdata.os)]);
+        } else if (type === 41) { // OPT pseudo-record
+            return Buffer.concat((rdata.options || []).map(option => {
+                const fixed = Buffer.alloc(4);
+                fixed.writeUInt16BE(option.code, 0);
+                fixed.writeUInt16BE(option.data.length, 2);
+                return Buffer.concat([fixed, option.data]);
+            }));
+        } else if (custom_record_types.has(type) && custom_record_types.get(type).encode) {
+            return custom_record_types.get(type).encode(rdata);
+        }
+        return Buffer.from(rdata);
+    } catch (error) {
+        throw new Error(`Error encoding record data: ${error.message}`);
+    }
+}
+
+/**
+ * Decodes the 16-bit header flags field into its individual fields.
+ *
+ * @param {number} flags - The raw flags field.
+ * @returns {{qr: boolean, opcode: number, aa: boolean, tc: boolean, rd: boolean, ra: boolean, rcode: number}}
+ *   The decoded flags. `qr` is true for responses and false for queries.
+ */
+function decode_flags(flags) {
+    return {
+        qr: (flags & 0x8000) !== 0,
+        opcode: (flags >> 11) & 0x0F,
+        aa: (flags & 0x0400) !== 0,
+        tc: (flags & 0x0200) !== 0,
+        rd: (flags & 0x0100) !== 0,
+        ra: (flags & 0x0080) !== 0,
+        rcode: flags & 0x0F,
+    };
+}
+
+/**
+ * Encodes header flags into the 16-bit flags field.
+ *
+ * @param {number|object} [flags=0] - A raw flags value, or an object in the shape returned by decode_flags.
+ * @returns {number} The raw flags field.
+ */
+function encode_flags(flags = 0) {
+    if (typeof flags === 'number') {
+        return flags;
+    }
+    return (flags.qr ? 0x8000 : 0)
+        | ((flags.opcode || 0) & 0x0F) << 11
+        | (flags.aa ? 0x0400 : 0)
+        | (flags.tc ? 0x0200 : 0)
+        | (flags.rd ? 0x0100 : 0)
+        | (flags.ra ? 0x0080 : 0)
+        | ((flags.rcode || 0) & 0x0F);
+}
+
+/**
+ * Combines a DNS class with the mDNS top-bit flag (cache-flush for records,
+ * unicast-response for questions).
+ *
+ * @param {number} [cls=1] - The class, which may already carry the top bit.
+ * @param {boolean} [flag=false] - Whether to set the top bit.
+ * @returns {number} The 16-bit class field.
+ */
+function encode_class(cls, flag) {
+    return (cls === undefined ? 1 : cls) | (flag ? 0x8000 : 0);
+}
+
+/**
+ * Encodes a single DNS resource record.
+ *
+ * @param {object} record - The record, in the shape produced by parse_record.
+ * @param {string} record.name - The owner name.
+ * @param {number} record.type - The record type.
+ * @param {number} [record.cls=1] - The record class.
+ * @param {boolean} [record.cache_flush=false] - Whether to set the mDNS cache-flush bit.
+ * @param {number} record.ttl - The time to live in seconds.
+ * @param {*} record.rdata - The record data.
+ * @param {Array<object>} [record.txt] - Raw TXT attributes, as in a parsed TXT record; used instead of `rdata`.
+ * @returns {Buffer} The encoded record.
+ * @throws Will throw an error if the record cannot be encoded.
+ */
+function encode_record(record) {
+    try {
+        const name = encode_name(record.name);
+        const rdata = encode_rdata(record.type, record.txt || record.rdata);
+        const fixed = Buffer.alloc(10);
+        fixed.writeUInt16BE(record.type, 0);
+        fixed.writeUInt16BE(encode_class(record.cls, record.cache_flush), 2);
+        fixed.writeUInt32BE(record.ttl, 4);
+        fixed.writeUInt16BE(rdata.length, 8);
+        return Buffer.concat([name, fixed, rdata]);
+    } catch (error) {
+        throw new Error(`Error encoding record: ${error.message}`);
+    }
+}
+
+/**
+ * Encodes a complete DNS message, mirroring the shape returned by parse_dns_message.
+ *
+ * Section counts in the header are derived from the arrays given. Owner names,
+ * PTR targets and SRV targets are compressed against names written earlier in
+ * the message.
+ *
+ * @param {object} [message] - The message to encode.
+ * @param {object} [message.header] - Header fields. Only `id` and `flags` (raw or decoded) are used.
+ * @param {Array<object>} [message.questions=[]] - Questions as `{ name, qtype, qclass, unicast_response }`.
+ * @param {Array<object>} [message.answers=[]] - Answer records, in the shape produced by parse_record.
+ * @param {Array<object>} [message.authorities=[]] - Authority records.
+ * @param {Array<object>} [message.additionals=[]] - Additional records.
+ * @returns {Buffer} The encoded DNS message.
+ * @throws Will throw an error if the message cannot be encoded.
+ */
+function encode_dns_message(message = {}) {
+    try {
+        const header = message.header || {};
+        const questions = message.questions || [];
+        const answers = message.answers || [];
+        const authorities = message.authorities || [];
+        const additionals = message.additionals || [];
+
+        const chunks = [];
+        let length = 0;
+        // Offsets of names already written, keyed by lower-cased suffix
+        const name_offsets = new Map();
+
+        const write = (buffer) => {
+            chunks.push(buffer);
+            length += buffer.length;
+        };
+
+        const write_name = (name) => {
+            const labels = split_name(name);
+            // Validates label and name lengths before anything is written
+            encode_name(labels);
+            for (let i = 0; i < labels.length; i++) {
+                const suffix = join_name(labels.slice(i)).toLowerCase();
+                if (name_offsets.has(suffix)) {
+                    const pointer = Buffer.alloc(2);
+                    pointer.writeUInt16BE(0xC000 | name_offsets.get(suffix), 0);
+                    write(pointer);
+                    return;
+                }
+                // Pointers only have 14 bits of offset
+                if (length < 0x4000) {
+                    name_offsets.set(suffix, length);
+                }
+                write(encode_label(labels[i]));
+            }
+            write(Buffer.from([0]));
+        };
+
+        const write_record = (record) => {
+            write_name(record.name);
+            const fixed = Buffer.alloc(10);
+            fixed.writeUInt16BE(record.type, 0);
+            fixed.writeUInt16BE(encode_class(record.cls, record.cache_flush), 2);
+            fixed.writeUInt32BE(record.ttl, 4);
+            write(fixed);
+
+            const rdata_start = length;
+            if (record.type === 12 || record.type === 5) { // PTR or CNAME record
+                write_name(record.rdata);
+            } else if (record.type === 33) { // SRV record
+                const srv = Buffer.alloc(6);
+                srv.writeUInt16BE(record.rdata.priority || 0, 0);
+                srv.writeUInt16BE(record.rdata.weight || 0, 2);
+                srv.writeUInt16BE(record.rdata.port, 4);
+                write(srv);
+                write_name(record.rdata.target);
+            } else {
+                write(encode_rdata(record.type, record.txt || record.rdata));
+            }
+            // Back-fill RDLENGTH now that the (possibly compressed) RDATA is known
+            fixed.writeUInt16BE(length - rdata_start, 8);
+        };
+
+        const header_buffer = Buffer.alloc(12);
+        header_buffer.writeUInt16BE(header.id || 0, 0);
+        header_buffer.writeUInt16BE(encode_flags(header.flags), 2);
+        header_buffer.writeUInt16BE(questions.length, 4);
+        header_buffer.writeUInt16BE(answers.length, 6);
+        header_buffer.writeUInt16BE(authorities.length, 8);
+        header_buffer.writeUInt16BE(additionals.length, 10);
+        write(header_buffer);
+
+        for (const question of questions) {
+            write_name(question.name);
+            const fixed = Buffer.alloc(4);
+            fixed.writeUInt16BE(question.qtype, 0);
+            fixed.writeUInt16BE(encode_class(question.qclass, question.unicast_response), 2);
+            write(fixed);
+        }
+        for (const record of [...answers, ...authorities, ...additionals]) {
+            write_record(record);
+        }
+
+        return Buffer.concat(chunks);
     } catch (error) {
-        throw new Error(`Error reading name from buffer: ${error.message}`);
+        throw new Error(`Error encoding DNS message: ${error.message}`);
     }
 }
 
 /**
  * Parses a single DNS record from the buffer starting at the given offset.
  *
+ * RDLENGTH is validated against the buffer, and every field inside the RDATA
+ * is validated against the end of the record. The mDNS cache-flush bit (the top
+ * bit of the class field) is reported as `cache_flush` and masked off `cls`.
+ *
+ * TXT data is decoded into a string map (see txt_properties), and `txt` keeps every
+ * attribute in order as raw `{ key, value }` Buffers for binary values.
+ *
+ * A, AAAA, PTR, CNAME, SRV, TXT, HINFO (`{ cpu, os }`), NSEC (`{ next_domain, types }`)
+ * and OPT (`{ udp_payload_size, extended_rcode, version, dnssec_ok, options }`) are
+ * decoded, as are types added with register_record_type(); other types keep their
+ * raw RDATA as a Buffer. `type_name` holds the type's mnemonic (see record_type_name).
+ *
  * @param {Buffer} buffer - The buffer containing the DNS record.
  * @param {number} offset - The starting offset.
  * @returns {object} The parsed DNS record and the new offset.
- * @throws Will throw an error if the record cannot be parsed.
+ * @throws {DnsParseError} If the record is malformed.
  */
 function parse_record(buffer, offset) {
+    const start_offset = offset;
     try {
         const name_result = read_name(buffer, offset);
         const name = name_result.name;
         offset = name_result.read_bytes;
 
+        ensure_available(offset, 10, buffer.length, 'Record header');
         const type = buffer.readUInt16BE(offset);
         offset += 2;
-        const cls = buffer.readUInt16BE(offset);
+        const raw_class = buffer.readUInt16BE(offset);
+        const cls = raw_class & 0x7FFF;
+        const cache_flush = (raw_class & 0x8000) !== 0;
         offset += 2;
         const ttl = buffer.readUInt32BE(offset);
         offset += 4;
         const rdlength = buffer.readUInt16BE(offset);
         offset += 2;
 
+        ensure_available(offset, rdlength, buffer.length, 'Record data');
+        const end = offset + rdlength;
+
         let rdata;
         if (type === 12) { // PTR record
-            rdata = read_name(buffer, offset).name;
+            rdata = read_name(buffer, offset, end).name;
         } else if (type === 33) { // SRV record
+            ensure_available(offset, 6, end, 'SRV record');
             const priority = buffer.readUInt16BE(offset);
             const weight = buffer.readUInt16BE(offset + 2);
             const port = buffer.readUInt16BE(offset + 4);
-            const target = read_name(buffer, offset + 6).name;
+            const target = read_name(buffer, offset + 6, end).name;
             rdata = { priority, weight, port, target };
         } else if (type === 16) { // TXT record
-            let txts = {};
-            const end = offset + rdlength;
+            const txt = [];
             while (offset < end) {
                 const txt_len = buffer.readUInt8(offset);
                 offset += 1;
-                const txt = buffer.toString('utf8', offset, offset + txt_len);
+                ensure_available(offset, txt_len, end, 'TXT string');
+                const string = buffer.subarray(offset, offset + txt_len);
                 offset += txt_len;
-                const equal_index = txt.indexOf('=');
-                if (equal_index !== -1) {
-                    const key = txt.substring(0, equal_index);
-                    const value = txt.substring(equal_index + 1);
-                    txts[key] = value;
-                } else {
-                    txts[txt] = true;
-                }
+                // The key ends at the first '='; strings without one are boolean attributes
+                const equal_index = string.indexOf(0x3D);
+                // Empty strings (e.g. the placeholder in an empty TXT record) and empty keys carry no attribute
+                if (!txt_len || equal_index === 0) continue;
+                txt.push({
+                    key: Buffer.from(equal_index === -1 ? string : string.subarray(0, equal_index)),
+                    value: equal_index === -1 ? null : Buffer.from(string.subarray(equal_index + 1))
+                });
             }
-            rdata = txts;
-            return { name, type, cls, ttl, rdlength, rdata, offset };
+            rdata = txt_properties(txt);
+            return { name, type, type_name: record_type_name(type), cls, cache_flush, ttl, rdlength, rdata, txt, offset };
         } else if (type === 1) { // A record
+            if (rdlength !== 4) {
+                throw new DnsParseError(`A record has length ${rdlength}, expected 4`, offset);
+            }
             const ip_bytes = [];
             for (let i = 0; i < rdlength; i++) {
                 ip_bytes.push(buffer.readUInt8(offset + i));
             }
             rdata = ip_bytes.join('.');
+        } else if (type === 28) { // AAAA record
+            if (rdlength !== 16) {
+                throw new DnsParseError(`AAAA record has length ${rdlength}, expected 16`, offset);
+            }
+            rdata = format_ipv6(buffer, offset);
+        } else if (type === 5) { // CNAME record
+            rdata = read_name(buffer, offset, end).name;
+        } else if (type === 13) { // HINFO record
+            const cpu = read_character_string(buffer, offset, end, 'HINFO CPU');
+            const os = read_character_string(buffer, cpu.offset, end, 'HINFO OS');
+            rdata = { cpu: cpu.value, os: os.value };
+        } else if (type === 47) { // NSEC record
+            const next_domain = read_name(buffer, offset, end);
+            rdata = { next_domain: next_domain.name, types: decode_type_bitmaps(buffer, next_domain.read_bytes, end) };
+        } else if (type === 41) { // OPT pseudo-record (EDNS0); the class and TTL fields are repurposed
+            const options = [];
+            let option_offset = offset;
+            while (option_offset < end) {
+                ensure_available(option_offset, 4, end, 'OPT option header');
+                const code = buffer.readUInt16BE(option_offset);
+                const length = buffer.readUInt16BE(option_offset + 2);
+                ensure_available(option_offset + 4, length, end, 'OPT option data');
+                options.push({ code, data: Buffer.from(buffer.subarray(option_offset + 4, option_offset + 4 + length)) });
+                option_offset += 4 + length;
+            }
+            rdata = {
+                udp_payload_size: raw_class,
+                extended_rcode: ttl >>> 24,
+                version: (ttl >>> 16) & 0xFF,
+                dnssec_ok: (ttl & 0x8000) !== 0,
+                options
+            };
+        } else if (custom_record_types.has(type)) {
+            rdata = custom_record_types.get(type).decode(buffer, offset, end);
         } else {
-            rdata = buffer.slice(offset, offset + rdlength);
+            rdata = buffer.slice(offset, end);
         }
-        offset += rdlength;
-        return { name, type, cls, ttl, rdlength, rdata, offset };
+        offset = end;
+        return { name, type, type_name: record_type_name(type), cls, cache_flush, ttl, rdlength, rdata, offset };
     } catch (error) {
-        throw new Error(`Error parsing record: ${error.message}`);
+        rethrow_parse_error(error, 'Error parsing record', start_offset);
     }
 }
 
@@ -154,14 +937,19 @@ function parse_record(buffer, offset) {
  * Parses a complete DNS message from a buffer.
  *
  * @param {Buffer} buffer - The buffer containing the DNS message.
- * @returns {object} An object containing the header and parsed records.
- * @throws Will throw an error if the DNS message cannot be parsed.
+ * @returns {{header: object, questions: Array<object>, answers: Array<object>, authorities: Array<object>,
+ *   additionals: Array<object>, records: Array<object>}} The header, the questions, and the records of each
+ *   section. `header.flags` is decoded by decode_flags and `header.raw_flags` keeps the 16-bit value.
+ *   `records` holds the answer, authority and additional records together, in packet order.
+ * @throws {DnsParseError} If the DNS message is malformed.
  */
 function parse_dns_message(buffer) {
     try {
+        ensure_available(0, 12, buffer.length, 'Header');
         const header = {
             id: buffer.readUInt16BE(0),
-            flags: buffer.readUInt16BE(2),
+            flags: decode_flags(buffer.readUInt16BE(2)),
+            raw_flags: buffer.readUInt16BE(2),
             qdcount: buffer.readUInt16BE(4),
             ancount: buffer.readUInt16BE(6),
             nscount: buffer.readUInt16BE(8),
@@ -169,159 +957,1288 @@ function parse_dns_message(buffer) {
         };
         let offset = 12;
 
-        // Skip question section
+        const questions = [];
         for (let i = 0; i < header.qdcount; i++) {
-            const res = read_name(buffer, offset);
-            offset = res.read_bytes + 4; // Skip QTYPE and QCLASS
+            const question = parse_question(buffer, offset);
+            questions.push(question);
+            offset = question.offset;
         }
 
-        const records = [];
-        const total_records = header.ancount + header.nscount + header.arcount;
-        for (let i = 0; i < total_records; i++) {
-            const record = parse_record(buffer, offset);
-            records.push(record);
-            offset = record.offset;
-        }
-        return { header, records };
+        const read_section = (count) => {
+            const section = [];
+            for (let i = 0; i < count; i++) {
+                const record = parse_record(buffer, offset);
+                section.push(record);
+                offset = record.offset;
+            }
+            return section;
+        };
+        const answers = read_section(header.ancount);
+        const authorities = read_section(header.nscount);
+        const additionals = read_section(header.arcount);
+
+        return {
+            header,
+            questions,
+            answers,
+            authorities,
+            additionals,
+            records: [...answers, ...authorities, ...additionals]
+        };
     } catch (error) {
-        throw new Error(`Error parsing DNS message: ${error.message}`);
+        rethrow_parse_error(error, 'Error parsing DNS message', 0);
     }
 }
 
 /**
- * Checks if a given service name is associated with the smart_ip service.
+ * Returns the service type a query is for, without its subtype
+ * (e.g. '_smart_ip._tcp.local' for '_speaker._sub._smart_ip._tcp.local').
  *
- * @param {string} name - The service instance name.
- * @param {string} full_service_query - The full service query (e.g. '_smart_ip._tcp.local').
- * @returns {boolean} True if the name is associated with the smart_ip service.
- * @throws Will throw an error if the check fails.
+ * @param {string} full_service_query - The full service query.
+ * @returns {string} The full service type.
  */
-function is_smart_ip_service(name, full_service_query) {
-    try {
-        return name === full_service_query || name.endsWith('.' + full_service_query);
-    } catch (error) {
-        throw new Error(`Error checking smart IP service: ${error.message}`);
-    }
+function base_service_type(full_service_query) {
+    const labels = split_name(full_service_query);
+    const sub_index = labels.findIndex(label => label.toLowerCase() === '_sub');
+    return sub_index === -1 ? full_service_query : join_name(labels.slice(sub_index + 1));
 }
 
 /**
- * Starts an mDNS listener to query and discover smart_ip services.
+ * Returns the instance label of a full instance name of the given service type
+ * (e.g. 'Studio 1.2 Monitor' for 'Studio 1\.2 Monitor._smart_ip._tcp.local').
  *
- * @param {object} [options] - Options for the mDNS listener.
- * @param {string} [options.mdns_address='224.0.0.251'] - The mDNS multicast address.
- * @param {number} [options.mdns_port=5353] - The mDNS port.
- * @param {string} [options.interface='169.254.137.22'] - The local network interface IP address.
- * @param {string} [options.service_query='_smart_ip._tcp'] - The service query.
+ * @param {string} name - The escaped full instance name.
+ * @param {string} full_service_type - The full service type (e.g. '_smart_ip._tcp.local').
+ * @returns {string|null} The unescaped instance name, or null if the name is not an instance of the type.
+ */
+function instance_label(name, full_service_type) {
+    const labels = split_name(name);
+    const type_labels = split_name(full_service_type);
+    if (labels.length !== type_labels.length + 1) {
+        return null;
+    }
+    const matches = type_labels.every((label, index) => label.toLowerCase() === labels[index + 1].toLowerCase());
+    return matches ? labels[0] : null;
+}
+
+/**
+ * Checks if a given service name is associated with the smart_ip service.
+ *
+ * Instances found through a subtype query belong to the parent service type,
+ * so subtype queries match instances of that type. Names are compared label by
+ * label, so an escaped dot inside the instance label is not a label boundary.
+ *
+ * @param {string} name - The escaped service instance name.
+ * @param {string|Array<string>} full_service_query - The full service query (e.g. '_smart_ip._tcp.local'),
+ *   or an array of them; the name matches if it matches any of them.
+ * @returns {boolean} True if the name is associated with the smart_ip service.
+ * @throws Will throw an error if the check fails.
+ */
+function is_smart_ip_service(name, full_service_query) {
+    try {
+        const queries = Array.isArray(full_service_query) ? full_service_query : [full_service_query];
+        return queries.some(query => {
+            const service_type = base_service_type(query);
+            return name.toLowerCase() === service_type.toLowerCase() || instance_label(name, service_type) !== null;
+        });
+    } catch (error) {
+        throw new Error(`Error checking smart IP service: ${error.message}`);
+    }
+}
+
+/**
+ * Assembles service objects from the records held in a record cache.
+ *
+ * A service exists while a PTR record for one of the queries points at its
+ * instance name, or an SRV record for an instance of a queried type is cached.
+ * Port and addresses come from the SRV record and the A/AAAA records of its
+ * target; properties come from TXT.
+ *
+ * @param {RecordCache} cache - The record cache.
+ * @param {string|Array<string>} full_service_query - The full service query (e.g. '_smart_ip._tcp.local'),
+ *   or an array of service types and subtypes (e.g. '_speaker._sub._smart_ip._tcp.local').
+ * @returns {Map<string, object>} Services keyed by full instance name. Each service has
+ *   `name` (the unescaped instance label), `fqdn` (the escaped full instance name), `type` (the first
+ *   query it matched, without '.local'),
+ *   `types` (every query it matched), `host` (the SRV target), `addresses`, `port`, `properties` and
+ *   `ttl` (the TTL in seconds of its SRV record, or of its PTR record until the SRV record is known).
+ */
+function assemble_services(cache, full_service_query) {
+    const queries = Array.isArray(full_service_query) ? full_service_query : [full_service_query];
+    // Map of instance name -> { service_type, ptr_ttl, types }; ptr_ttl is undefined when only the SRV record is cached
+    const instances = new Map();
+    const add_instance = (instance, query, ptr_ttl) => {
+        if (!instances.has(instance)) {
+            instances.set(instance, { service_type: base_service_type(query), ptr_ttl, types: [] });
+        }
+        const entry = instances.get(instance);
+        if (entry.ptr_ttl === undefined) {
+            entry.ptr_ttl = ptr_ttl;
+        }
+        const type = query.replace(/\.local$/, '');
+        if (!entry.types.includes(type)) {
+            entry.types.push(type);
+        }
+    };
+    for (const query of queries) {
+        for (const ptr of cache.get_records(query, 12)) {
+            if (is_smart_ip_service(ptr.rdata, query)) {
+                add_instance(ptr.rdata, query, ptr.ttl);
+            }
+        }
+    }
+    // Without a PTR record an instance cannot be tied to a subtype, only to its service type.
+    for (const query of queries.filter(query => base_service_type(query) === query)) {
+        for (const srv of cache.get_records_by_type(33)) {
+            if (is_smart_ip_service(srv.name, query)) {
+                add_instance(srv.name, query, undefined);
+            }
+        }
+    }
+
+    const services = new Map();
+    for (const [instance, { service_type, ptr_ttl, types }] of instances) {
+        // The newest record wins while flushed records wait out their grace period
+        const srv = cache.get_records(instance, 33).pop();
+        const txt = cache.get_records(instance, 16).pop();
+        const addresses = [];
+        if (srv) {
+            for (const type of [1, 28]) {
+                for (const rec of cache.get_records(srv.rdata.target, type)) {
+                    if (!addresses.includes(rec.rdata)) {
+                        addresses.push(rec.rdata);
+                    }
+                }
+            }
+        }
+
+        services.set(instance, {
+            // The instance label, unescaped (e.g. 'Studio 1.2 Monitor')
+            name: instance_label(instance, service_type) || instance,
+            fqdn: instance,
+            type: types[0],
+            types,
+            host: srv ? srv.rdata.target : undefined,
+            addresses,
+            port: srv ? srv.rdata.port : undefined,
+            properties: txt ? txt.rdata : {},
+            txt: txt && txt.txt ? txt.txt : [],
+            ttl: srv ? srv.ttl : ptr_ttl
+        });
+    }
+    return services;
+}
+
+/**
+ * Resolves the scoped multicast interface for an IPv6 address.
+ *
+ * IPv6 multicast on ff02::fb is link-local, so the kernel needs to know which
+ * interface to use. Node expects this as '::%<scope>', where the scope is the
+ * interface name on Unix and the numeric scope ID on Windows.
+ *
+ * @param {string} address - The local IPv6 address, optionally already scoped (e.g. 'fe80::1%eth0').
+ * @param {Array<object>} [interfaces=list_interfaces()] - The local interfaces to look the address up in.
+ * @returns {string} The scoped multicast interface (e.g. '::%eth0').
+ * @throws {InterfaceNotFoundError} If no local interface owns the address.
+ */
+function resolve_ipv6_interface(address, interfaces = list_interfaces()) {
+    const scope_index = address.indexOf('%');
+    if (scope_index !== -1) {
+        return '::' + address.substring(scope_index);
+    }
+    const iface = interfaces.find(entry => entry.family === 'IPv6' && entry.address === address);
+    if (!iface) {
+        throw new InterfaceNotFoundError(address, 'IPv6');
+    }
+    const scope = process.platform === 'win32' ? iface.scopeid : iface.name;
+    return `::%${scope}`;
+}
+
+/**
+ * Resolves the `interface` option of the listener into local addresses.
+ *
+ * Accepts an IP address, an interface name (e.g. 'eth0'), 'all' for every
+ * non-internal interface, or an array of addresses and names. Each network
+ * interface contributes one address, so a NIC is only joined once; for IPv6
+ * the link-local address is preferred.
+ *
+ * @param {string|Array<string>} selection - The interface selection.
+ * @param {string} family - 'IPv4' or 'IPv6'.
+ * @param {Array<object>} [interfaces=list_interfaces()] - The local interfaces to select from.
+ * @returns {Array<{address: string, name: string|null, netmask: string|null, scopeid: number|null}>}
+ *   The selected local addresses with their interface name, netmask and IPv6 scope ID (when known).
+ * @throws {InterfaceNotFoundError} If an address or name matches no local interface, or nothing is eligible.
+ */
+function resolve_interfaces(selection, family, interfaces = list_interfaces()) {
+    const candidates = interfaces
+        .filter(iface => iface.family === family)
+        // Prefer link-local IPv6 addresses, which every IPv6 interface has
+        .sort((a, b) => Number(b.address.startsWith('fe80:')) - Number(a.address.startsWith('fe80:')));
+
+    const resolved = [];
+    const add = (address, iface) => {
+        const name = iface ? iface.name : null;
+        if (!resolved.some(entry => entry.address === address || (name && entry.name === name))) {
+            resolved.push({
+                address,
+                name,
+                netmask: iface ? iface.netmask : null,
+                scopeid: iface && iface.scopeid !== undefined ? iface.scopeid : null
+            });
+        }
+    };
+
+    if (selection === 'all') {
+        for (const iface of candidates) {
+            if (!iface.internal) {
+                add(iface.address, iface);
+            }
+        }
+        if (!resolved.length) {
+            throw new InterfaceNotFoundError(selection, family);
+        }
+        return resolved;
+    }
+
+    for (const entry of Array.isArray(selection) ? selection : [selection]) {
+        if (net.isIP(entry.split('%')[0])) {
+            const owner = candidates.find(iface => iface.address === entry.split('%')[0]);
+            if (!owner) {
+                throw new InterfaceNotFoundError(entry, family);
+            }
+            add(entry, owner);
+            continue;
+        }
+        const iface = candidates.find(candidate => candidate.name === entry);
+        if (!iface) {
+            throw new InterfaceNotFoundError(entry, family);
+        }
+        add(iface.address, iface);
+    }
+    return resolved;
+}
+
+/**
+ * Checks whether two addresses of the same family share a subnet.
+ *
+ * @param {string} address - The remote address.
+ * @param {string} local - The local address.
+ * @param {string} netmask - The local network mask.
+ * @returns {boolean} True if both addresses are on the same subnet.
+ */
+function is_same_subnet(address, local, netmask) {
+    if (!netmask || net.isIPv6(address) !== net.isIPv6(local)) {
+        return false;
+    }
+    const to_bytes = value => net.isIPv6(value) ? parse_ipv6(value) : Buffer.from(value.split('.').map(Number));
+    const remote_bytes = to_bytes(address);
+    const local_bytes = to_bytes(local);
+    const mask_bytes = to_bytes(netmask);
+    for (let i = 0; i < mask_bytes.length; i++) {
+        if ((remote_bytes[i] & mask_bytes[i]) !== (local_bytes[i] & mask_bytes[i])) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Starts an mDNS listener to query and discover smart_ip services.
+ *
+ * With several interfaces (`interface: 'all'` or an array) one socket joins the
+ * multicast group on each of them, queries are sent out of each, and every
+ * service records which interfaces it was seen on.
+ *
+ * When a responder leaves out the SRV, TXT or address records of a service,
+ * follow-up queries ask for the missing records until the service is complete
+ * or `resolve_timeout` expires.
+ *
+ * @param {object} [options] - Options for the mDNS listener.
+ * @param {string} [options.mdns_address] - The mDNS multicast address ('224.0.0.251' for IPv4, 'ff02::fb' for IPv6).
+ * @param {number} [options.mdns_port=5353] - The mDNS port.
+ * @param {string|Array<string>} [options.interface='169.254.137.22'] - The local interface IP address or name,
+ *   'all' for every non-internal interface, or an array of addresses and names.
+ * @param {string} [options.family] - 'IPv4' or 'IPv6'. Inferred from the interface address when omitted
+ *   (IPv4 for 'all' and interface names).
+ * @param {string|Array<string>} [options.service_query='_smart_ip._tcp'] - The service query, or an array of
+ *   service types and subtypes (e.g. ['_smart_ip._tcp', '_speaker._sub._smart_ip._tcp']) to browse for with
+ *   one socket. Each service is tagged with the types it matched.
  * @param {function} [options.on_service_found] - Callback invoked when a service is found.
- * @returns {dgram.Socket} The UDP socket used for mDNS.
+ * @param {function} [options.on_service_updated] - Callback invoked when a known service's port, addresses
+ *   or properties change.
+ * @param {function} [options.on_service_removed] - Callback invoked when a service sends a goodbye or its
+ *   records expire.
+ * @param {function} [options.on_service_seen] - Callback invoked whenever a response carries records of a
+ *   known service, including refreshes that change nothing. Useful for tracking when a service was last seen.
+ * @param {function} [options.on_error] - Callback invoked with fatal errors, after which the socket is closed:
+ *   InterfaceNotFoundError, BindError, MembershipError, or the underlying socket error.
+ * @param {object} [options.logger] - Logger with debug/info/warn/error methods (e.g. console, pino, winston).
+ *   The listener is silent when omitted.
+ * @param {boolean} [options.continuous=false] - Keep re-querying on the RFC 6762 backoff schedule and
+ *   before cached PTR records expire, instead of sending a single query. See browse().
+ * @param {number} [options.resolve_timeout=5000] - How long to keep sending follow-up SRV/TXT and A/AAAA
+ *   queries for a service whose responses were incomplete, in milliseconds.
+ * @param {string} [options.resolve_instance] - A full instance name to resolve directly with SRV/TXT
+ *   queries instead of browsing with a PTR query. See resolve_service().
+ * @param {string|stream.Writable} [options.capture] - Records every received packet as a JSON line
+ *   (`timestamp`, `interface`, `rinfo` and base64 `payload`) to this file path or stream, for replay_capture().
+ * @param {Transport} [options.transport=udp_transport] - Supplies the socket and local interfaces; pass a
+ *   VirtualLan host's transport to browse an in-process network.
+ * @returns {dgram.Socket} The UDP socket used for mDNS (or the transport's socket).
  */
 function start_mdns_listener(options = {}) {
-    const mdns_address = options.mdns_address || '224.0.0.251';
+    return run_listener(options, {});
+}
+
+/**
+ * Runs the listener pipeline. start_mdns_listener runs it on a real socket;
+ * replay_capture runs it on captured packets.
+ *
+ * @param {object} options - The start_mdns_listener options.
+ * @param {object} environment - Overrides for replay: `socket` (used instead of a UDP socket),
+ *   `links` (used instead of resolving `options.interface`) and `clock` (used instead of Date.now).
+ * @returns {dgram.Socket|ReplaySocket} The socket in use.
+ */
+function run_listener(options, environment) {
     const mdns_port = options.mdns_port || 5353;
-    const local_interface = options.interface || '169.254.137.22';
-    const service_query = options.service_query || '_smart_ip._tcp';
-    const full_service_query = service_query + '.local';
+    const selection = options.interface || '169.254.137.22';
+    const first_selected = (Array.isArray(selection) ? selection[0] || '' : selection).split('%')[0];
+    const family = options.family || (net.isIPv6(first_selected) ? 'IPv6' : 'IPv4');
+    const is_ipv6 = family === 'IPv6';
+    const mdns_address = options.mdns_address || (is_ipv6 ? 'ff02::fb' : '224.0.0.251');
+    const service_queries = Array.isArray(options.service_query) ? options.service_query : [options.service_query || '_smart_ip._tcp'];
+    const full_service_queries = service_queries.map(query => query + '.local');
     const on_service_found = typeof options.on_service_found === 'function' ? options.on_service_found : null;
+    const on_service_updated = typeof options.on_service_updated === 'function' ? options.on_service_updated : null;
+    const on_service_removed = typeof options.on_service_removed === 'function' ? options.on_service_removed : null;
+    const on_service_seen = typeof options.on_service_seen === 'function' ? options.on_service_seen : null;
+    const on_error = typeof options.on_error === 'function' ? options.on_error : null;
+    const logger = create_logger(options.logger);
+    const continuous = options.continuous === true;
+    const resolve_timeout = typeof options.resolve_timeout === 'number' ? options.resolve_timeout : DEFAULT_RESOLVE_TIMEOUT;
+    const resolve_instance = options.resolve_instance || null;
+    const clock = environment.clock || Date.now;
+    const capture = options.capture ? create_capture_writer(options.capture, logger) : null;
+    const transport = options.transport || udp_transport;
 
-    // Object to hold discovered services by name.
-    const services = {};
-    const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+    // One link per joined interface, each with its own record cache so services
+    // can be attributed to the interface they were seen on.
+    let links = [];
+    // Last reported state of each service, keyed by full instance name.
+    let known_services = new Map();
+    let expiry_timer = null;
+    let query_timer = null;
+    let query_interval = INITIAL_QUERY_INTERVAL;
+    let next_backoff_query = 0;
+    // Follow-up query state per incomplete instance: { deadline, interval, timer, gave_up, asked }
+    const resolutions = new Map();
+    const socket = environment.socket || transport.create_socket(is_ipv6 ? 'udp6' : 'udp4');
 
-    socket.on('message', (msg, rinfo) => {
-        console.log(`\nReceived mDNS response from ${rinfo.address}:${rinfo.port}`);
-        try {
-            const parsed = parse_dns_message(msg);
-            // Process each record and register only those related to our service.
-            for (const rec of parsed.records) {
-                // PTR record: links the query to a service instance name.
-                if (rec.type === 12 && rec.name === full_service_query) {
-                    const service_instance = rec.rdata;
-                    if (!services[service_instance]) {
-                        services[service_instance] = { name: service_instance };
-                    }
+    /**
+     * Prints a service and reports it through the matching callback.
+     */
+    function report_service(label, service, callback) {
+        logger.info(`${label}: ${service.name}`);
+        logger.debug([
+            `${label}:`,
+            `Name: ${service.name}`,
+            `IP Address(es): ${service.addresses}`,
+            `Port: ${service.port}`,
+            `Properties: ${JSON.stringify(service.properties)}`,
+            `Interface(s): ${service.interfaces}`
+        ].join('\n'));
+        if (callback) {
+            callback(service);
+        }
+    }
+
+    /**
+     * Assembles services from every link's cache and merges services seen on several interfaces.
+     */
+    function assemble_all_services() {
+        const merged = new Map();
+        for (const link of links) {
+            for (const [instance, service] of assemble_services(link.cache, full_service_queries)) {
+                const existing = merged.get(instance);
+                if (!existing) {
+                    merged.set(instance, { ...service, interfaces: [link.address] });
+                    continue;
                 }
-                // SRV record: provides target and port.
-                else if (rec.type === 33 && is_smart_ip_service(rec.name, full_service_query)) {
-                    if (!services[rec.name]) {
-                        services[rec.name] = { name: rec.name };
+                existing.interfaces.push(link.address);
+                for (const address of service.addresses) {
+                    if (!existing.addresses.includes(address)) {
+                        existing.addresses.push(address);
                     }
-                    services[rec.name].port = rec.rdata.port;
-                    services[rec.name].target = rec.rdata.target;
                 }
-                // TXT record: holds additional properties.
-                else if (rec.type === 16 && is_smart_ip_service(rec.name, full_service_query)) {
-                    if (!services[rec.name]) {
-                        services[rec.name] = { name: rec.name };
+                for (const type of service.types) {
+                    if (!existing.types.includes(type)) {
+                        existing.types.push(type);
                     }
-                    services[rec.name].txt = rec.rdata;
                 }
-                // A record: maps target name to IP address.
-                else if (rec.type === 1) {
-                    for (const instance in services) {
-                        if (services[instance].target === rec.name) {
-                            if (!services[instance].addresses) {
-                                services[instance].addresses = [];
-                            }
-                            services[instance].addresses.push(rec.rdata);
-                        }
-                    }
+                if (existing.port === undefined) {
+                    existing.port = service.port;
+                    existing.host = service.host;
+                }
+                if (!existing.txt.length) {
+                    existing.properties = service.properties;
+                    existing.txt = service.txt;
                 }
             }
+        }
+        return merged;
+    }
 
-            // Process and output discovered smart_ip services.
-            for (const instance in services) {
-                if (!is_smart_ip_service(services[instance].name, full_service_query)) continue;
-                let display_name = services[instance].name;
-                const suffix = '.' + full_service_query;
-                if (display_name.endsWith(suffix)) {
-                    display_name = display_name.substring(0, display_name.length - suffix.length);
-                }
-                console.log('----------------------------------------');
-                console.log(`Service found:`);
-                console.log(`Name: ${display_name}`);
-                console.log(`IP Address(es): ${services[instance].addresses || []}`);
-                console.log(`Port: ${services[instance].port}`);
-                console.log(`Properties: ${JSON.stringify(services[instance].txt || {})}`);
-
-                if (on_service_found) {
-                    on_service_found({
-                        name: display_name,
-                        addresses: services[instance].addresses || [],
-                        port: services[instance].port,
-                        properties: services[instance].txt || {}
-                    });
+    /**
+     * Compares two versions of a service. A TTL change alone (e.g. a goodbye) is not an update.
+     */
+    function same_service(previous, service) {
+        return JSON.stringify({ ...previous, ttl: 0 }) === JSON.stringify({ ...service, ttl: 0 });
+    }
+
+    /**
+     * Re-assembles services from the caches and reports what changed since the last call.
+     */
+    function refresh_services() {
+        const current = assemble_all_services();
+        for (const [instance, service] of current) {
+            const previous = known_services.get(instance);
+            if (!previous) {
+                report_service('Service found', service, on_service_found);
+            } else if (!same_service(previous, service)) {
+                report_service('Service updated', service, on_service_updated);
+            }
+        }
+        for (const [instance, service] of known_services) {
+            if (!current.has(instance)) {
+                logger.info(`Service removed: ${service.name}`);
+                if (on_service_removed) {
+                    on_service_removed(service);
                 }
             }
-        } catch (e) {
-            console.error('Error parsing mDNS response:', e);
         }
-    });
+        known_services = current;
+        update_resolutions();
+    }
 
-    socket.on('error', (err) => {
-        console.error(`Socket error:\n${err.stack}`);
-        socket.close();
-    });
+    /**
+     * Returns the questions still needed to complete an instance: SRV and TXT for
+     * the instance itself, then A and AAAA for its SRV target.
+     */
+    function missing_questions(instance) {
+        const has = (name, type) => links.some(link => link.cache.get_records(name, type).length > 0);
+        const questions = [];
+        if (!has(instance, 33)) {
+            questions.push({ name: instance, qtype: 33, qclass: 1 });
+        }
+        if (!has(instance, 16)) {
+            questions.push({ name: instance, qtype: 16, qclass: 1 });
+        }
+        const service = known_services.get(instance);
+        if (service && service.host && !service.addresses.length) {
+            questions.push({ name: service.host, qtype: 1, qclass: 1 });
+            questions.push({ name: service.host, qtype: 28, qclass: 1 });
+        }
+        return questions;
+    }
+
+    /**
+     * Starts follow-up queries for incomplete services and forgets finished or removed ones.
+     */
+    function update_resolutions() {
+        for (const [instance, state] of resolutions) {
+            const pending = known_services.has(instance) || instance === resolve_instance;
+            const questions = pending ? missing_questions(instance) : [];
+            if (!questions.length) {
+                clearTimeout(state.timer);
+                resolutions.delete(instance);
+            } else if (!state.gave_up && JSON.stringify(questions) !== state.asked) {
+                // An answer made progress (e.g. the SRV arrived), so ask for the next records right away.
+                clearTimeout(state.timer);
+                send_resolution_query(instance, state);
+            }
+        }
+        for (const instance of known_services.keys()) {
+            if (!resolutions.has(instance) && missing_questions(instance).length) {
+                start_resolution(instance);
+            }
+        }
+    }
+
+    /**
+     * Begins sending follow-up queries for an instance.
+     */
+    function start_resolution(instance) {
+        const state = {
+            deadline: clock() + resolve_timeout,
+            interval: INITIAL_RESOLVE_INTERVAL,
+            timer: null,
+            gave_up: false,
+            asked: null
+        };
+        resolutions.set(instance, state);
+        send_resolution_query(instance, state);
+    }
+
+    /**
+     * Sends one follow-up query and schedules the next, doubling the interval until the deadline.
+     */
+    function send_resolution_query(instance, state) {
+        const questions = missing_questions(instance);
+        if (!questions.length) return;
+        state.asked = JSON.stringify(questions);
+        const types = questions.map(question => question.qtype === 33 ? 'SRV' : question.qtype === 16 ? 'TXT' : question.qtype === 1 ? 'A' : 'AAAA');
+        send_to_links(() => encode_dns_message({ questions }), `${types.join('/')} query for ${instance}`);
+
+        const now = clock();
+        if (now + state.interval >= state.deadline) {
+            state.timer = setTimeout(() => {
+                // Keep the entry so the instance is not retried on every packet.
+                state.timer = null;
+                state.gave_up = true;
+                logger.warn(`Gave up resolving ${instance} after ${resolve_timeout}ms`);
+            }, Math.max(state.deadline - now, 0));
+            return;
+        }
+        state.timer = setTimeout(() => {
+            state.interval *= 2;
+            send_resolution_query(instance, state);
+        }, state.interval);
+    }
+
+    /**
+     * Returns the earliest non-null value produced for each link.
+     */
+    function earliest(get_time) {
+        let next = null;
+        for (const link of links) {
+            const time = get_time(link);
+            if (time !== null && (next === null || time < next)) {
+                next = time;
+            }
+        }
+        return next;
+    }
 
-    socket.bind(mdns_port, local_interface, () => {
+    /**
+     * Schedules the next cache eviction for the earliest expiring record.
+     */
+    function schedule_expiry() {
+        clearTimeout(expiry_timer);
+        const next = earliest(link => link.cache.next_expiry());
+        if (next === null) return;
+        expiry_timer = setTimeout(() => {
+            for (const link of links) {
+                link.cache.expire(clock());
+            }
+            refresh_services();
+            schedule_expiry();
+        }, Math.max(next - clock(), 0));
+    }
+
+    /**
+     * Sends a packet out of each interface in turn.
+     *
+     * @param {function} build_packet - Builds the packet for a link.
+     * @param {string} description - What is being sent, for logging.
+     */
+    function send_to_links(build_packet, description, index = 0) {
+        const link = links[index];
+        if (!link) return;
         try {
-            socket.addMembership(mdns_address, local_interface);
-            console.log(`Listening for mDNS responses on ${mdns_address}:${mdns_port} via interface ${local_interface}`);
-            const query = build_query(service_query);
-            socket.send(query, 0, query.length, mdns_port, mdns_address, (err) => {
+            const packet = build_packet(link);
+            // The outgoing interface must stay set until this send completes, so sends are chained.
+            socket.setMulticastInterface(link.multicast_interface);
+            socket.send(packet, 0, packet.length, mdns_port, mdns_address, (err) => {
                 if (err) {
-                    console.error('Error sending mDNS query:', err);
+                    logger.error(`Error sending mDNS ${description} via ${link.address}: ${err.message}`);
                 } else {
-                    console.log(`Sent mDNS query for ${service_query}`);
+                    logger.debug(`Sent mDNS ${description} via ${link.address}`);
                 }
+                send_to_links(build_packet, description, index + 1);
             });
         } catch (error) {
-            console.error(`Error initializing mDNS listener: ${error.message}`);
+            // The socket was closed while packets were still being sent.
+            logger.error(`Error sending mDNS ${description}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Sends a query for the service type, listing the PTR records already known on each interface.
+     *
+     * @param {Array<object>} [refresh_questions=[]] - Questions for records nearing the end of their TTL,
+     *   asked in the same packet.
+     * @param {boolean} [browse=true] - Whether to ask for the service type itself.
+     */
+    function send_query(refresh_questions = [], browse = true) {
+        if (!browse) {
+            send_to_links(() => encode_dns_message({ questions: refresh_questions }), `refresh query for ${refresh_questions.length} record(s)`);
+            return;
+        }
+        send_to_links(
+            link => encode_dns_message({
+                questions: [
+                    ...full_service_queries.map(query => ({ name: query, qtype: 12, qclass: 1 })),
+                    ...refresh_questions
+                ],
+                answers: full_service_queries.flatMap(query => link.cache.get_known_answers(query, 12, clock()))
+            }),
+            `query for ${service_queries.join(', ')}`
+        );
+    }
+
+    /**
+     * Returns the next refresh time of the SRV, TXT and address records of each known
+     * instance. Responders usually give these a much shorter TTL than the PTR record,
+     * and known-answer suppression keeps PTR queries from refreshing them.
+     *
+     * @param {number} now - The current time in milliseconds.
+     * @returns {Array<{name: string, qtype: number, at: number}>} The refresh time of each cached record set.
+     */
+    function record_refreshes(now) {
+        const refreshes = [];
+        for (const service of known_services.values()) {
+            const keys = [[service.fqdn, 33], [service.fqdn, 16]];
+            if (service.host) {
+                keys.push([service.host, 1], [service.host, 28]);
+            }
+            for (const [name, qtype] of keys) {
+                const at = earliest(link => link.cache.next_refresh(name, qtype, now));
+                if (at !== null) {
+                    refreshes.push({ name, qtype, at });
+                }
+            }
+        }
+        return refreshes;
+    }
+
+    /**
+     * Schedules the next continuous-mode query: the next step of the backoff schedule,
+     * a TTL refresh for a cached PTR record, or a TTL refresh for an instance's SRV, TXT
+     * or address records, whichever comes first.
+     */
+    function schedule_query() {
+        clearTimeout(query_timer);
+        const now = clock();
+        const ptr_refresh = earliest(link => {
+            const times = full_service_queries
+                .map(query => link.cache.next_refresh(query, 12, now))
+                .filter(time => time !== null);
+            return times.length ? Math.min(...times) : null;
+        });
+        const refreshes = record_refreshes(now);
+        const next = Math.min(
+            next_backoff_query,
+            ptr_refresh !== null ? ptr_refresh : Infinity,
+            ...refreshes.map(refresh => refresh.at)
+        );
+        query_timer = setTimeout(() => {
+            const backoff_due = clock() >= next_backoff_query;
+            const browse = backoff_due || (ptr_refresh !== null && ptr_refresh <= next);
+            const questions = refreshes
+                .filter(refresh => refresh.at <= next)
+                .map(refresh => ({ name: refresh.name, qtype: refresh.qtype, qclass: 1 }));
+            if (browse || questions.length) {
+                send_query(questions, browse);
+            }
+            if (backoff_due) {
+                query_interval = Math.min(query_interval * 2, MAX_QUERY_INTERVAL);
+                next_backoff_query = clock() + query_interval;
+            }
+            schedule_query();
+        }, Math.max(next - now, 0));
+    }
+
+    /**
+     * Reports every known service that the given records belong to: its PTR,
+     * SRV or TXT records, or the address records of its host. Goodbyes do not count.
+     */
+    function report_seen(records) {
+        const names = new Set();
+        for (const rec of records) {
+            if (rec.ttl === 0) continue;
+            names.add(rec.name.toLowerCase());
+            if (rec.type === 12 && typeof rec.rdata === 'string') {
+                names.add(rec.rdata.toLowerCase());
+            }
+        }
+        for (const [instance, service] of known_services) {
+            if (names.has(instance.toLowerCase()) || (service.host && names.has(service.host.toLowerCase()))) {
+                on_service_seen(service);
+            }
+        }
+    }
+
+    /**
+     * Finds the link a packet from the given address arrived on.
+     */
+    function find_link(remote_address) {
+        if (links.length === 1) {
+            return links[0];
+        }
+        // IPv6 link-local senders carry the receiving interface as their scope
+        const scope_index = remote_address.indexOf('%');
+        if (scope_index !== -1) {
+            const scope = remote_address.substring(scope_index + 1);
+            const by_scope = links.find(link => link.name === scope || String(link.scopeid) === scope);
+            if (by_scope) {
+                return by_scope;
+            }
+        }
+        const plain = remote_address.split('%')[0];
+        return links.find(link => is_same_subnet(plain, link.address.split('%')[0], link.netmask)) || links[0];
+    }
+
+    socket.on('message', (msg, rinfo) => {
+        const now = clock();
+        const link = find_link(rinfo.address);
+        if (capture) {
+            capture.write(create_capture_entry(msg, rinfo, link, now));
+        }
+        try {
+            const parsed = parse_dns_message(msg);
+            // Queries from other hosts (and our own) carry no service data.
+            if (!parsed.header.flags.qr) return;
+            logger.debug(`Received mDNS response from ${rinfo.address}:${rinfo.port} with ${parsed.records.length} record(s)`);
+            // Expire against the packet's time so a replay sees the same cache as the capture did.
+            for (const entry of links) {
+                entry.cache.expire(now);
+            }
+            for (const rec of parsed.records) {
+                link.cache.add_record(rec, now);
+            }
+            refresh_services();
+            if (on_service_seen) {
+                report_seen(parsed.records);
+            }
+            schedule_expiry();
+            if (continuous) {
+                schedule_query();
+            }
+        } catch (e) {
+            // Anyone on the segment can send; a bad packet is not our failure.
+            logger.warn(`Ignoring malformed mDNS packet from ${rinfo.address}: ${e.message}`);
+        }
+    });
+
+    socket.on('close', () => {
+        clearTimeout(expiry_timer);
+        clearTimeout(query_timer);
+        for (const state of resolutions.values()) {
+            clearTimeout(state.timer);
+        }
+        if (capture) {
+            capture.close();
+        }
+    });
+
+    /**
+     * Reports a fatal error and closes the socket.
+     */
+    function fail(error) {
+        logger.error(error.message);
+        if (on_error) {
+            on_error(error);
+        }
+        try {
+            socket.close();
+        } catch (close_error) {
+            // The error callback already closed the socket.
+        }
+    }
+
+    // IPv6 link-local addresses cannot be bound without a scope, and one socket
+    // cannot bind to several addresses, so those cases bind to the wildcard
+    // address and select interfaces through their multicast memberships.
+    const single_ipv4 = !is_ipv6 && typeof selection === 'string' && net.isIPv4(selection);
+    const bind_address = single_ipv4 ? selection : (is_ipv6 ? '::' : '0.0.0.0');
+
+    socket.on('error', (err) => {
+        fail(err.syscall === 'bind' ? new BindError(bind_address, mdns_port, err) : err);
+    });
+
+    try {
+        const interfaces = environment.links ? [] : transport.list_interfaces();
+        links = (environment.links || resolve_interfaces(selection, family, interfaces)).map(entry => ({
+            ...entry,
+            multicast_interface: is_ipv6 && !environment.links ? resolve_ipv6_interface(entry.address, interfaces) : entry.address,
+            cache: new RecordCache()
+        }));
+    } catch (error) {
+        // Report asynchronously, like socket errors, so callers can attach handlers first.
+        process.nextTick(() => fail(error));
+        return socket;
+    }
+
+    socket.bind(mdns_port, bind_address, () => {
+        for (const link of links) {
+            try {
+                socket.addMembership(mdns_address, link.multicast_interface);
+            } catch (error) {
+                fail(new MembershipError(mdns_address, link.address, error));
+                return;
+            }
+            logger.info(`Listening for mDNS responses on ${mdns_address}:${mdns_port} via interface ${link.address}`);
+        }
+        if (resolve_instance) {
+            start_resolution(resolve_instance);
+            return;
+        }
+        send_query();
+        if (continuous) {
+            next_backoff_query = clock() + query_interval;
+            schedule_query();
         }
     });
 
     return socket;
 }
 
+/**
+ * Continuously browses for mDNS services for long-running monitoring.
+ *
+ * Queries are repeated after 1s, 2s, 4s and so on up to once an hour, and again
+ * at 80-95% of each cached PTR record's TTL. Every query lists the instances
+ * already known so healthy devices need not answer again.
+ *
+ * @param {object} [options] - The same options as start_mdns_listener.
+ * @returns {dgram.Socket} The UDP socket used for mDNS. Close it to stop browsing.
+ */
+function browse(options = {}) {
+    return start_mdns_listener({ ...options, continuous: true });
+}
+
+/**
+ * Resolves a known service instance directly, without browsing for its type.
+ *
+ * SRV and TXT queries are sent for the instance, then A/AAAA queries for its
+ * target, until the service has a port and at least one address.
+ *
+ * @param {string} instance_name - The instance name, either bare (e.g. 'Studio 1.2 Monitor') or fully
+ *   qualified and escaped (e.g. 'Studio 1\.2 Monitor._smart_ip._tcp.local').
+ * @param {object} [options] - The same options as start_mdns_listener.
+ * @param {number} [options.timeout=5000] - How long to wait for the service, in milliseconds.
+ * @returns {Promise<object>} A promise that resolves with the service object.
+ * @throws Rejects if the service cannot be resolved before the timeout.
+ */
+function resolve_service(instance_name, options = {}) {
+    return new Promise((resolve, reject) => {
+        const service_query = options.service_query || '_smart_ip._tcp';
+        const full_service_type = service_query + '.local';
+        // A bare instance name is a single label and may contain dots (e.g. 'Studio 1.2 Monitor')
+        const instance = instance_label(instance_name, full_service_type) !== null
+            ? instance_name
+            : join_name([instance_name, ...split_name(full_service_type)]);
+        const timeout = typeof options.timeout === 'number' && options.timeout > 0 ? options.timeout : DEFAULT_RESOLVE_TIMEOUT;
+
+        let settled = false;
+        const finish = (error, service) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            socket.close();
+            if (error) {
+                reject(error);
+            } else {
+                resolve(service);
+            }
+        };
+        const on_service = (service) => {
+            if (service.fqdn.toLowerCase() === instance.toLowerCase() && is_service_resolved(service)) {
+                finish(null, service);
+            }
+        };
+
+        const socket = start_mdns_listener({
+            ...options,
+            service_query,
+            resolve_instance: instance,
+            resolve_timeout: timeout,
+            on_service_found: on_service,
+            on_service_updated: on_service,
+            on_error: (error) => finish(error)
+        });
+        const timer = setTimeout(() => {
+            finish(new Error(`Error resolving service: ${instance} did not resolve within ${timeout}ms`));
+        }, timeout);
+    });
+}
+
+/**
+ * Lists the service types advertised on the network.
+ *
+ * Sends a DNS-SD service type enumeration query (PTR for
+ * '_services._dns-sd._udp.local') and collects the PTR answers until the timeout.
+ *
+ * @param {object} [options] - The same options as start_mdns_listener, except `service_query` and the callbacks.
+ * @param {number} [options.timeout=5000] - How long to collect answers, in milliseconds.
+ * @returns {Promise<Array<string>>} A promise that resolves with the sorted service types
+ *   without the '.local' suffix (e.g. ['_http._tcp', '_smart_ip._tcp']).
+ * @throws Rejects with InterfaceNotFoundError, BindError, MembershipError or the socket error if the
+ *   query cannot run.
+ */
+function list_service_types(options = {}) {
+    return new Promise((resolve, reject) => {
+        const timeout = typeof options.timeout === 'number' && options.timeout > 0 ? options.timeout : 5000;
+        const enumeration_name = (SERVICE_TYPE_ENUMERATION + '.local').toLowerCase();
+        // Map of lower-cased type -> type as first received
+        const types = new Map();
+
+        const socket = start_mdns_listener({
+            ...options,
+            service_query: SERVICE_TYPE_ENUMERATION,
+            on_service_found: null,
+            on_service_updated: null,
+            on_service_removed: null,
+            on_service_seen: null,
+            on_error: (error) => {
+                clearTimeout(timer);
+                reject(error);
+            }
+        });
+
+        // The enumeration answers are not services, so they are read straight off the socket.
+        socket.on('message', (msg) => {
+            let parsed;
+            try {
+                parsed = parse_dns_message(msg);
+            } catch (error) {
+                // The listener already logs malformed packets.
+                return;
+            }
+            if (!parsed.header.flags.qr) return;
+            for (const rec of parsed.records) {
+                if (rec.type === 12 && rec.ttl > 0 && rec.name.toLowerCase() === enumeration_name) {
+                    const type = rec.rdata.replace(/\.local\.?$/i, '');
+                    if (!types.has(type.toLowerCase())) {
+                        types.set(type.toLowerCase(), type);
+                    }
+                }
+            }
+        });
+
+        const timer = setTimeout(() => {
+            socket.close();
+            resolve(Array.from(types.values()).sort());
+        }, timeout);
+    });
+}
+
+/**
+ * Replays a capture recorded with the `capture` option through the listener, without a socket.
+ *
+ * Packets are processed in order with the listener's clock set to their capture
+ * timestamps, so records expire exactly as they did while capturing. The
+ * callbacks fire as they would have live; nothing is sent on the network.
+ *
+ * @param {string|Array<object>} source - The path of a JSON lines capture file, or its entries.
+ * @param {object} [options] - The same options as start_mdns_listener, except `interface`, `capture`
+ *   and `resolve_instance`. Use the `service_query` the capture was recorded with.
+ * @returns {Promise<Array<object>>} A promise that resolves with the services known after the last packet.
+ * @throws Rejects if the capture cannot be read.
+ */
+function replay_capture(source, options = {}) {
+    return new Promise((resolve, reject) => {
+        let entries;
+        try {
+            entries = read_capture(source);
+        } catch (error) {
+            reject(error);
+            return;
+        }
+        if (!entries.length) {
+            resolve([]);
+            return;
+        }
+
+        // Packets are attributed to the interfaces they arrived on while capturing.
+        const links = new Map();
+        for (const entry of entries) {
+            if (entry.interface && !links.has(entry.interface.address)) {
+                links.set(entry.interface.address, entry.interface);
+            }
+        }
+        if (!links.size) {
+            links.set('0.0.0.0', { address: '0.0.0.0', name: 'replay', netmask: '0.0.0.0' });
+        }
+
+        const services = new Map();
+        const socket = new ReplaySocket();
+        let now = entries[0].timestamp;
+        run_listener({
+            ...options,
+            capture: null,
+            resolve_instance: null,
+            on_service_found: (service) => {
+                services.set(service.fqdn, service);
+                if (options.on_service_found) options.on_service_found(service);
+            },
+            on_service_updated: (service) => {
+                services.set(service.fqdn, service);
+                if (options.on_service_updated) options.on_service_updated(service);
+            },
+            on_service_removed: (service) => {
+                services.delete(service.fqdn);
+                if (options.on_service_removed) options.on_service_removed(service);
+            }
+        }, { socket, clock: () => now, links: Array.from(links.values()) });
+
+        // Wait for the listener to "bind" before delivering packets.
+        setImmediate(() => {
+            for (const entry of entries) {
+                now = entry.timestamp;
+                socket.replay(entry);
+            }
+            socket.close();
+            resolve(Array.from(services.values()));
+        });
+    });
+}
+
+/**
+ * Discovers mDNS services and reports changes as events.
+ *
+ * Events:
+ * - `up` (service): A service was found.
+ * - `update` (service): A known service's port, addresses or properties changed.
+ * - `down` (service): A service sent a goodbye or its records expired.
+ * - `error` (error): The socket failed or could not be initialized (InterfaceNotFoundError,
+ *   BindError, MembershipError or the underlying socket error). The socket is closed afterwards.
+ *
+ * @extends EventEmitter
+ */
+class ServiceBrowser extends EventEmitter {
+    /**
+     * @param {object} [options] - The same options as start_mdns_listener, without the callbacks.
+     *   Set `continuous: true` to keep re-querying (see browse()).
+     */
+    constructor(options = {}) {
+        super();
+        this.options = { ...options };
+        this.socket = null;
+        this.current_services = new Map();
+    }
+
+    /**
+     * Services currently known to the browser. After stop() this holds the
+     * services that were present when the browser stopped.
+     *
+     * @returns {Array<object>} The service objects.
+     */
+    get services() {
+        return Array.from(this.current_services.values());
+    }
+
+    /**
+     * Opens the socket and starts discovery. Calling start() on a running browser has no effect.
+     *
+     * @returns {ServiceBrowser} The browser, for chaining.
+     */
+    start() {
+        if (this.socket) {
+            return this;
+        }
+        this.current_services.clear();
+        const socket = start_mdns_listener({
+            ...this.options,
+            on_service_found: (service) => {
+                this.current_services.set(service.fqdn, service);
+                this.emit('up', service);
+            },
+            on_service_updated: (service) => {
+                this.current_services.set(service.fqdn, service);
+                this.emit('update', service);
+            },
+            on_service_removed: (service) => {
+                this.current_services.delete(service.fqdn);
+                this.emit('down', service);
+            },
+            on_error: (error) => {
+                this.emit('error', error);
+            }
+        });
+        // The listener closes its socket on errors; forget it so start() can be called again.
+        socket.on('close', () => {
+            if (this.socket === socket) {
+                this.socket = null;
+            }
+        });
+        this.socket = socket;
+        return this;
+    }
+
+    /**
+     * Stops discovery and closes the socket. Calling stop() on a stopped browser has no effect.
+     */
+    stop() {
+        if (!this.socket) {
+            return;
+        }
+        const socket = this.socket;
+        this.socket = null;
+        try {
+            socket.close();
+        } catch (error) {
+            // The listener already closed the socket after an error.
+        }
+    }
+}
+
+/**
+ * Creates a ServiceBrowser wired to the callback options of the search functions.
+ *
+ * on_service_found is held back until a service is resolved to a port and an
+ * address, since responders that answer only the PTR question report a service
+ * before its SRV and address records arrive. Updates before that point are not
+ * reported, and neither is the removal of a service that was never found.
+ *
+ * @param {object} options - The search options.
+ * @returns {ServiceBrowser} The browser, not yet started.
+ */
+function create_search_browser(options) {
+    const browser = new ServiceBrowser(options);
+    const found = new Set();
+    const report = (service) => {
+        if (found.has(service.fqdn)) {
+            if (typeof options.on_service_updated === 'function') {
+                options.on_service_updated(service);
+            }
+        } else if (is_service_resolved(service)) {
+            found.add(service.fqdn);
+            if (typeof options.on_service_found === 'function') {
+                options.on_service_found(service);
+            }
+        }
+    };
+    browser.on('up', report);
+    browser.on('update', report);
+    browser.on('down', (service) => {
+        if (found.delete(service.fqdn) && typeof options.on_service_removed === 'function') {
+            options.on_service_removed(service);
+        }
+    });
+    // Errors are already reported to the logger; the handler keeps EventEmitter from throwing.
+    browser.on('error', typeof options.on_error === 'function' ? options.on_error : () => {});
+    return browser;
+}
+
+/**
+ * Checks whether a service has been resolved to a port and at least one address.
+ *
+ * @param {object} service - A service object.
+ * @returns {boolean} True if the service can be connected to.
+ */
+function is_service_resolved(service) {
+    return service.port !== undefined && Array.isArray(service.addresses) && service.addresses.length > 0;
+}
+
+/**
+ * Discovers mDNS services as an async iterable.
+ *
+ * Each service is yielded once, as soon as it is resolved to a port and an
+ * address; a service that goes down and comes back is yielded again. Browsing
+ * is continuous unless `continuous: false` is given. The socket is closed when
+ * the loop ends, whether by `break`, abort, timeout or error.
+ *
+ * @example
+ * for await (const service of discover({ signal: controller.signal })) {
+ *     console.log(service.name);
+ * }
+ *
+ * @param {object} [options] - The same options as ServiceBrowser, plus:
+ * @param {AbortSignal} [options.signal] - Stops discovery and closes the socket when aborted.
+ * @param {number} [options.timeout] - Stops discovery after this many milliseconds.
+ * @param {boolean} [options.first=false] - Stop after the first resolved service.
+ * @param {function} [options.until] - Stop after the first service for which this predicate returns true.
+ * @returns {AsyncGenerator<object>} The resolved services.
+ * @throws Will throw the browser's error if the socket fails.
+ */
+async function* discover(options = {}) {
+    const { signal, timeout, first, until } = options;
+    const predicate = typeof until === 'function' ? until : (first ? () => true : null);
+    if (signal && signal.aborted) {
+        return;
+    }
+
+    const browser = new ServiceBrowser({ ...options, continuous: options.continuous !== false });
+    const queue = [];
+    const yielded = new Set();
+    let wake = null;
+    let aborted = false;
+    let timed_out = false;
+    let failure = null;
+
+    const notify = () => {
+        if (wake) {
+            wake();
+            wake = null;
+        }
+    };
+    const on_service = (service) => {
+        if (yielded.has(service.fqdn) || !is_service_resolved(service)) return;
+        yielded.add(service.fqdn);
+        queue.push(service);
+        notify();
+    };
+    const on_abort = () => {
+        aborted = true;
+        notify();
+    };
+
+    browser.on('up', on_service);
+    browser.on('update', on_service);
+    browser.on('down', (service) => yielded.delete(service.fqdn));
+    browser.on('error', (error) => {
+        failure = error;
+        notify();
+    });
+    if (signal) {
+        signal.addEventListener('abort', on_abort, { once: true });
+    }
+    const timer = typeof timeout === 'number' && timeout > 0 ? setTimeout(() => {
+        timed_out = true;
+        notify();
+    }, timeout) : null;
+
+    browser.start();
+    try {
+        while (!aborted) {
+            if (failure) {
+                throw failure;
+            }
+            if (queue.length) {
+                const service = queue.shift();
+                yield service;
+                if (predicate && predicate(service)) {
+                    return;
+                }
+                continue;
+            }
+            if (timed_out) {
+                return;
+            }
+            await new Promise((resolve) => { wake = resolve; });
+        }
+    } finally {
+        clearTimeout(timer);
+        if (signal) {
+            signal.removeEventListener('abort', on_abort);
+        }
+        browser.stop();
+    }
+}
+
+/**
+ * Logs the outcome of a search: the count and names at info, the full service objects at debug.
+ *
+ * @param {object} logger - The search logger.
+ * @param {Array<object>} services - The services found.
+ */
+function log_search_complete(logger, services) {
+    const names = services.map(service => service.name).join(', ');
+    logger.info(`Search complete. ${services.length} unique service(s) found${services.length ? `: ${names}` : ''}`);
+    logger.debug(`Search results: ${JSON.stringify(services)}`);
+}
+
 /**
  * Searches for mDNS services with a dynamic timeout and tracks unique service objects.
  *
@@ -329,41 +2246,37 @@ function start_mdns_listener(options = {}) {
  * @param {number} [options.timeout=5000] - Search timeout in milliseconds.
  * @param {function} [options.on_search_complete] - Callback invoked when search completes.
  *   Receives an array of unique service objects.
- * @param {function} [options.on_service_found] - Callback invoked when a service is found.
+ * @param {function} [options.on_service_found] - Callback invoked when a service is resolved to a port
+ *   and an address.
+ * @param {function} [options.on_error] - Callback invoked if the search fails (e.g. InterfaceNotFoundError).
+ *   Without it, a failed search completes at once with no services.
  * @returns {dgram.Socket} The UDP socket used for mDNS.
  */
 function search_mdns_services(options = {}) {
     const timeout = options.timeout || 5000; // Default timeout of 5 seconds
-    // Create a Map to track unique service objects keyed by their unique name.
-    const unique_services = new Map();
-
-    // Wrap the original on_service_found to add the whole service object to the Map.
-    const original_on_service_found = options.on_service_found;
-    options.on_service_found = (service) => {
-        // If a service with this name has not been added yet, add it.
-        if (!unique_services.has(service.name)) {
-            unique_services.set(service.name, service);
+    const logger = create_logger(options.logger);
+    const browser = create_search_browser(options);
+    // A failed search reports through on_error if given, otherwise it completes with no results.
+    browser.on('error', () => {
+        clearTimeout(timer);
+        if (typeof options.on_error !== 'function' && options.on_search_complete) {
+            options.on_search_complete([]);
         }
-        if (original_on_service_found) {
-            original_on_service_found(service);
-        }
-    };
-
-    // Start the mDNS listener.
-    const socket = start_mdns_listener(options);
+    });
+    browser.start();
 
     // Stop the search after the timeout expires.
-    setTimeout(() => {
-        socket.close();
-        const uniqueServiceArray = Array.from(unique_services.values());
+    const timer = setTimeout(() => {
+        browser.stop();
+        const uniqueServiceArray = browser.services;
         if (options.on_search_complete) {
             options.on_search_complete(uniqueServiceArray);
         } else {
-            console.log('Search complete. Unique services found:', uniqueServiceArray);
+            log_search_complete(logger, uniqueServiceArray);
         }
     }, timeout);
 
-    return socket;
+    return browser.socket;
 }
 
 /**
@@ -372,51 +2285,74 @@ function search_mdns_services(options = {}) {
  * @param {object} [options] - Options for the search.
  * @param {number} [options.timeout=5000] - Search timeout in milliseconds.
  * @returns {Promise<Array>} A promise that resolves with an array of unique services found.
+ * @throws Rejects with InterfaceNotFoundError, BindError, MembershipError or the socket error if the
+ *   search cannot run.
  */
 async function search_mdns_servicesmv1(options = {}) {
-    return new Promise((resolve) => {
+    return new Promise((resolve, reject) => {
         const timeout = typeof options.timeout === 'number' && options.timeout > 0 ? options.timeout : 5000; // Default timeout of 5s
-        const unique_services = new Map();
+        const logger = create_logger(options.logger);
 
-        // Ensure callback functions are valid before assigning
-        const original_on_service_found = typeof options.on_service_found === 'function' ? options.on_service_found : null;
-        options.on_service_found = (service) => {
-            if (!unique_services.has(service.name)) {
-                unique_services.set(service.name, service);
-            }
-            if (original_on_service_found) {
-                original_on_service_found(service);
-            }
-        };
+        logger.info(`Starting mDNS search for '${options.service_query || '_smart_ip._tcp'}' with a timeout of ${timeout}ms...`);
+        const browser = create_search_browser(options);
 
-        console.log(`Starting mDNS search for '${options.service_query || '_smart_ip._tcp'}' with a timeout of ${timeout}ms...`);
-
-        // Start the mDNS listener.
-        const socket = start_mdns_listener(options);
+        // Fail fast instead of reporting "0 devices found" when the search cannot run.
+        browser.on('error', (error) => {
+            clearTimeout(timer);
+            browser.stop();
+            reject(error);
+        });
+        browser.start();
 
         // Stop the search after the timeout and resolve the promise with the unique services array.
-        setTimeout(() => {
-            socket.close();
-            const uniqueServiceArray = Array.from(unique_services.values());
+        const timer = setTimeout(() => {
+            browser.stop();
+            const uniqueServiceArray = browser.services;
 
             // Call `on_search_complete` callback if it's a valid function
             if (typeof options.on_search_complete === 'function') {
                 options.on_search_complete(uniqueServiceArray);
             }
 
-            console.log('Search complete. Unique services found:', uniqueServiceArray);
+            log_search_complete(logger, uniqueServiceArray);
             resolve(uniqueServiceArray);
         }, timeout);
     });
 }
 
 module.exports = {
+    split_name,
+    join_name,
+    encode_name,
+    decode_flags,
+    encode_flags,
     build_query,
     read_name,
+    parse_question,
+    format_ipv6,
+    parse_ipv6,
+    encode_rdata,
+    encode_record,
+    encode_dns_message,
     parse_record,
     parse_dns_message,
+    record_type_name,
+    register_record_type,
+    txt_properties,
+    get_txt_value,
     is_smart_ip_service,
+    assemble_services,
+    resolve_ipv6_interface,
     start_mdns_listener,
+    browse,
+    resolve_service,
+    list_service_types,
+    replay_capture,
+    read_capture,
+    ServiceBrowser,
+    is_service_resolved,
+    discover,
     search_mdns_services,
-    search_mdns_servicesmv1
+    search_mdns_servicesmv1,
+    SERVICE_TYPE_ENUMERATION
 };
@@ -0,0 +1,302 @@
+const net = require('net');
+const os = require('os');
+const {
+    parse_dns_message,
+    encode_dns_message,
+    encode_rdata,
+    resolve_ipv6_interface,
+    split_name,
+    join_name,
+    SERVICE_TYPE_ENUMERATION,
+} = require('./mdns_lib');
+const { create_logger } = require('./logger');
+const { BindError, MembershipError } = require('./errors');
+const { udp_transport } = require('./transport');
+
+/**
+ * Builds an mDNS response packet carrying the given answer and additional records.
+ *
+ * @param {Array<object>} answers - Records for the answer section.
+ * @param {Array<object>} [additionals=[]] - Records for the additional section.
+ * @returns {Buffer} The DNS response packet.
+ * @throws Will throw an error if the response cannot be built.
+ */
+function build_response(answers, additionals = []) {
+    try {
+        const flags = { qr: true, opcode: 0, aa: true, tc: false, rd: false, ra: false, rcode: 0 };
+        return encode_dns_message({ header: { id: 0, flags }, answers, additionals });
+    } catch (error) {
+        throw new Error(`Error building response: ${error.message}`);
+    }
+}
+
+/**
+ * Advertises a service instance over mDNS and answers queries for it.
+ *
+ * The responder answers PTR, SRV, TXT and A/AAAA questions for the instance,
+ * lists its service type in DNS-SD service type enumeration, announces the
+ * instance twice (one second apart) on startup, and sends goodbye packets
+ * (TTL 0) when stopped.
+ *
+ * @param {object} options - Options for the advertised service.
+ * @param {string} options.name - The instance name (e.g. 'Studio 1.2 Monitor'). It is a single label, so it
+ *   may contain dots and non-ASCII characters, up to 63 bytes of UTF-8.
+ * @param {number} options.port - The port the service listens on.
+ * @param {object|Array<object>} [options.txt={}] - TXT properties. A value of `true` publishes a boolean attribute.
+ *   Ordered `{ key, value }` entries may be given instead, with Buffer values for binary data.
+ * @param {string} [options.host] - The host name to advertise (defaults to the OS host name).
+ * @param {string} [options.interface='169.254.137.22'] - The local IP address to advertise and answer on (IPv4 or IPv6).
+ * @param {string} [options.service_type='_smart_ip._tcp'] - The service type.
+ * @param {Array<string>} [options.subtypes=[]] - Subtypes to register the instance under (e.g. ['_speaker']),
+ *   so browsers for '_speaker._sub._smart_ip._tcp' find it.
+ * @param {number} [options.ttl=120] - The TTL in seconds for the advertised records.
+ * @param {string} [options.mdns_address] - The mDNS multicast address ('224.0.0.251' for IPv4, 'ff02::fb' for IPv6).
+ * @param {number} [options.mdns_port=5353] - The mDNS port.
+ * @param {object} [options.logger] - Logger with debug/info/warn/error methods. Silent when omitted.
+ * @param {function} [options.on_error] - Callback invoked with fatal errors, after which the socket is closed:
+ *   InterfaceNotFoundError, BindError, MembershipError, or the underlying socket error.
+ * @param {Transport} [options.transport=udp_transport] - Supplies the socket and local interfaces; pass a
+ *   VirtualLan host's transport to advertise on an in-process network.
+ * @returns {{socket: dgram.Socket, stop: function(): Promise<void>}} The UDP socket and a function that
+ *   sends goodbye packets and closes the socket.
+ * @throws Will throw an error if the name or port is missing, or the name exceeds 63 bytes.
+ */
+function advertise_service(options = {}) {
+    if (!options.name) {
+        throw new Error('Error advertising service: a service name is required');
+    }
+    if (Buffer.byteLength(options.name, 'utf8') > 63) {
+        throw new Error('Error advertising service: the service name exceeds 63 bytes of UTF-8');
+    }
+    if (typeof options.port !== 'number') {
+        throw new Error('Error advertising service: a numeric port is required');
+    }
+
+    const local_interface = options.interface || '169.254.137.22';
+    const is_ipv6 = net.isIPv6(local_interface.split('%')[0]);
+    const mdns_address = options.mdns_address || (is_ipv6 ? 'ff02::fb' : '224.0.0.251');
+    const mdns_port = options.mdns_port || 5353;
+    const service_type = options.service_type || '_smart_ip._tcp';
+    const ttl = typeof options.ttl === 'number' ? options.ttl : 120;
+    const logger = create_logger(options.logger);
+    const on_error = typeof options.on_error === 'function' ? options.on_error : null;
+    const transport = options.transport || udp_transport;
+
+    const host = (options.host || os.hostname().split('.')[0]).replace(/\.local\.?$/, '');
+    const service_fqdn = service_type + '.local';
+    const instance_fqdn = join_name([options.name, ...split_name(service_fqdn)]);
+    const host_fqdn = host + '.local';
+
+    // PTR records are shared, so only the unique records set the cache-flush bit.
+    const ptr_record = { name: service_fqdn, type: 12, cls: 1, cache_flush: false, ttl, rdata: instance_fqdn };
+    const srv_record = {
+        name: instance_fqdn,
+        type: 33,
+        cls: 1,
+        cache_flush: true,
+        ttl,
+        rdata: { priority: 0, weight: 0, port: options.port, target: host_fqdn }
+    };
+    const txt_record = { name: instance_fqdn, type: 16, cls: 1, cache_flush: true, ttl, rdata: options.txt || {} };
+    const address_record = {
+        name: host_fqdn,
+        type: is_ipv6 ? 28 : 1,
+        cls: 1,
+        cache_flush: true,
+        ttl,
+        rdata: local_interface.split('%')[0]
+    };
+    const subtype_records = (options.subtypes || []).map(subtype => ({
+        name: `${subtype}._sub.${service_fqdn}`,
+        type: 12,
+        cls: 1,
+        cache_flush: false,
+        ttl,
+        rdata: instance_fqdn
+    }));
+    const all_records = [ptr_record, ...subtype_records, srv_record, txt_record, address_record];
+    // Answers service type enumeration; not announced, since other instances may share the type.
+    const enumeration_record = {
+        name: SERVICE_TYPE_ENUMERATION + '.local',
+        type: 12,
+        cls: 1,
+        cache_flush: false,
+        ttl,
+        rdata: service_fqdn
+    };
+
+    /**
+     * Collects the answer and additional records for a single question.
+     */
+    function answer_question(question, answers, additionals) {
+        const name = question.name.toLowerCase();
+        const qtype = question.qtype;
+        const is_any = qtype === 255;
+
+        const subtype_record = subtype_records.find(record => record.name.toLowerCase() === name);
+        if (name === enumeration_record.name.toLowerCase() && (qtype === 12 || is_any)) {
+            answers.add(enumeration_record);
+        } else if (subtype_record && (qtype === 12 || is_any)) {
+            answers.add(subtype_record);
+            additionals.add(srv_record);
+            additionals.add(txt_record);
+            additionals.add(address_record);
+        } else if (name === service_fqdn.toLowerCase() && (qtype === 12 || is_any)) {
+            answers.add(ptr_record);
+            additionals.add(srv_record);
+            additionals.add(txt_record);
+            additionals.add(address_record);
+        } else if (name === instance_fqdn.toLowerCase()) {
+            if (qtype === 33 || is_any) {
+                answers.add(srv_record);
+                additionals.add(address_record);
+            }
+            if (qtype === 16 || is_any) {
+                answers.add(txt_record);
+            }
+        } else if (name === host_fqdn.toLowerCase() && (qtype === address_record.type || is_any)) {
+            answers.add(address_record);
+        }
+    }
+
+    const socket = transport.create_socket(is_ipv6 ? 'udp6' : 'udp4');
+    const timers = [];
+    let stopped = false;
+
+    function send_packet(packet, description) {
+        // The socket is closed (or about to be) once the service is stopped.
+        if (stopped) return;
+        socket.send(packet, 0, packet.length, mdns_port, mdns_address, (err) => {
+            if (err) {
+                logger.error(`Error sending mDNS ${description}: ${err.message}`);
+            }
+        });
+    }
+
+    socket.on('message', (msg, rinfo) => {
+        try {
+            const parsed = parse_dns_message(msg);
+            // Only queries are answered; responses (QR bit set) are ignored.
+            if (parsed.header.flags.qr) return;
+            const questions = parsed.questions;
+            if (!questions.length) return;
+
+            const answers = new Set();
+            const additionals = new Set();
+            for (const question of questions) {
+                answer_question(question, answers, additionals);
+            }
+            if (!answers.size) return;
+
+            // Skip answers the querier already holds with at least half their TTL left (RFC 6762, section 7.1).
+            for (const record of answers) {
+                const known = parsed.answers.some(known_answer =>
+                    known_answer.name.toLowerCase() === record.name.toLowerCase()
+                    && known_answer.type === record.type
+                    && encode_rdata(known_answer.type, known_answer.txt || known_answer.rdata)
+                        .equals(encode_rdata(record.type, record.rdata))
+                    && known_answer.ttl >= record.ttl / 2);
+                if (known) {
+                    answers.delete(record);
+                }
+            }
+            if (!answers.size) return;
+
+            // Records already in the answer section need not be repeated.
+            for (const record of answers) {
+                additionals.delete(record);
+            }
+            logger.debug(`Answering mDNS query from ${rinfo.address}:${rinfo.port} for ${instance_fqdn}`);
+            send_packet(build_response([...answers], [...additionals]), 'response');
+        } catch (e) {
+            logger.warn(`Ignoring malformed mDNS packet from ${rinfo.address}: ${e.message}`);
+        }
+    });
+
+    /**
+     * Reports a fatal error and closes the socket.
+     */
+    function fail(error) {
+        logger.error(error.message);
+        stopped = true;
+        timers.forEach(clearTimeout);
+        if (on_error) {
+            on_error(error);
+        }
+        try {
+            socket.close();
+        } catch (close_error) {
+            // The error callback already closed the socket.
+        }
+    }
+
+    const bind_address = is_ipv6 ? '::' : '0.0.0.0';
+    socket.on('error', (err) => {
+        fail(err.syscall === 'bind' ? new BindError(bind_address, mdns_port, err) : err);
+    });
+
+    // Bind to the wildcard address so multicast queries are delivered on every
+    // platform; the membership below selects the interface to answer on.
+    socket.bind(mdns_port, bind_address, () => {
+        // stop() may have been called before the bind completed.
+        if (stopped) return;
+        let multicast_interface;
+        try {
+            multicast_interface = is_ipv6 ? resolve_ipv6_interface(local_interface, transport.list_interfaces()) : local_interface;
+        } catch (error) {
+            fail(error);
+            return;
+        }
+        try {
+            socket.addMembership(mdns_address, multicast_interface);
+        } catch (error) {
+            fail(new MembershipError(mdns_address, local_interface, error));
+            return;
+        }
+        try {
+            socket.setMulticastInterface(multicast_interface);
+            logger.info(`Advertising ${instance_fqdn} on ${mdns_address}:${mdns_port} via interface ${local_interface}`);
+
+            // Announce twice, one second apart (RFC 6762, section 8.3).
+            const announcement = build_response(all_records);
+            send_packet(announcement, 'announcement');
+            timers.push(setTimeout(() => send_packet(announcement, 'announcement'), 1000));
+        } catch (error) {
+            fail(error);
+        }
+    });
+
+    /**
+     * Sends goodbye packets for every advertised record and closes the socket.
+     *
+     * @returns {Promise<void>} Resolves once the goodbye has been sent and the socket closed.
+     */
+    function stop() {
+        return new Promise((resolve) => {
+            if (stopped) {
+                resolve();
+                return;
+            }
+            stopped = true;
+            timers.forEach(clearTimeout);
+
+            const goodbye = build_response(all_records.map(record => ({ ...record, ttl: 0 })));
+            socket.send(goodbye, 0, goodbye.length, mdns_port, mdns_address, (err) => {
+                if (err) {
+                    logger.error(`Error sending mDNS goodbye: ${err.message}`);
+                } else {
+                    logger.info(`Sent mDNS goodbye for ${instance_fqdn}`);
+                }
+                socket.close();
+                resolve();
+            });
+        });
+    }
+
+    return { socket, stop };
+}
+
+module.exports = {
+    build_response,
+    advertise_service,
+};
@@ -0,0 +1,311 @@
+const fs = require('fs');
+const { format_ipv6, replay_capture } = require('./mdns_lib');
+
+// Link-layer header types (https://www.tcpdump.org/linktypes.html)
+const LINKTYPE_ETHERNET = 1;
+const LINKTYPE_RAW = 101;
+const LINKTYPE_LINUX_SLL = 113;
+const LINKTYPE_IPV4 = 228;
+const LINKTYPE_IPV6 = 229;
+
+// pcapng block types
+const BLOCK_SECTION_HEADER = 0x0A0D0D0A;
+const BLOCK_INTERFACE_DESCRIPTION = 0x00000001;
+const BLOCK_SIMPLE_PACKET = 0x00000003;
+const BLOCK_ENHANCED_PACKET = 0x00000006;
+
+// IPv6 extension headers that may precede the UDP header
+const IPV6_EXTENSION_HEADERS = new Set([0, 43, 60]);
+const IPV6_FRAGMENT_HEADER = 44;
+const IP_PROTOCOL_UDP = 17;
+
+/**
+ * Strips the link-layer header from a captured frame.
+ *
+ * Ethernet (including 802.1Q/802.1ad VLAN tags), Linux cooked capture and raw IP
+ * frames are supported.
+ *
+ * @param {number} linktype - The link-layer header type of the capture or interface.
+ * @param {Buffer} frame - The captured frame.
+ * @returns {Buffer|null} The IP packet, or null if the frame carries something else.
+ */
+function strip_link_layer(linktype, frame) {
+    let ethertype;
+    let offset;
+    switch (linktype) {
+        case LINKTYPE_ETHERNET:
+            if (frame.length < 14) return null;
+            ethertype = frame.readUInt16BE(12);
+            offset = 14;
+            while ((ethertype === 0x8100 || ethertype === 0x88A8) && frame.length >= offset + 4) {
+                ethertype = frame.readUInt16BE(offset + 2);
+                offset += 4;
+            }
+            break;
+        case LINKTYPE_LINUX_SLL:
+            if (frame.length < 16) return null;
+            ethertype = frame.readUInt16BE(14);
+            offset = 16;
+            break;
+        case LINKTYPE_RAW:
+        case LINKTYPE_IPV4:
+        case LINKTYPE_IPV6:
+            return frame;
+        default:
+            return null;
+    }
+    return ethertype === 0x0800 || ethertype === 0x86DD ? frame.subarray(offset) : null;
+}
+
+/**
+ * Extracts a UDP datagram from an IPv4 or IPv6 packet.
+ *
+ * Fragmented packets are skipped, since mDNS responses rarely exceed one frame.
+ *
+ * @param {Buffer} packet - The IP packet.
+ * @returns {object|null} `{ family, source, destination, source_port, destination_port, payload }`,
+ *   or null if the packet is not a complete, unfragmented UDP datagram.
+ */
+function decode_udp_packet(packet) {
+    if (packet.length < 1) return null;
+    const version = packet[0] >> 4;
+    let family;
+    let source;
+    let destination;
+    let offset;
+    if (version === 4) {
+        const header_length = (packet[0] & 0x0F) * 4;
+        if (packet.length < 20 || header_length < 20 || packet[9] !== IP_PROTOCOL_UDP) return null;
+        // More-fragments flag or a fragment offset
+        if (packet.readUInt16BE(6) & 0x3FFF) return null;
+        family = 'IPv4';
+        source = Array.from(packet.subarray(12, 16)).join('.');
+        destination = Array.from(packet.subarray(16, 20)).join('.');
+        offset = header_length;
+    } else if (version === 6) {
+        if (packet.length < 40) return null;
+        let next_header = packet[6];
+        offset = 40;
+        while (IPV6_EXTENSION_HEADERS.has(next_header) && packet.length >= offset + 8) {
+            next_header = packet[offset];
+            offset += (packet[offset + 1] + 1) * 8;
+        }
+        if (next_header === IPV6_FRAGMENT_HEADER || next_header !== IP_PROTOCOL_UDP) return null;
+        family = 'IPv6';
+        source = format_ipv6(packet, 8);
+        destination = format_ipv6(packet, 24);
+    } else {
+        return null;
+    }
+    if (packet.length < offset + 8) return null;
+    const udp_length = packet.readUInt16BE(offset + 4);
+    if (udp_length < 8 || packet.length < offset + udp_length) return null;
+    return {
+        family,
+        source,
+        destination,
+        source_port: packet.readUInt16BE(offset),
+        destination_port: packet.readUInt16BE(offset + 2),
+        payload: Buffer.from(packet.subarray(offset + 8, offset + udp_length))
+    };
+}
+
+/**
+ * Reads the frames of a classic pcap file.
+ *
+ * @param {Buffer} buffer - The file contents.
+ * @returns {Array<{timestamp: number, linktype: number, frame: Buffer}>} The frames, timestamps in milliseconds.
+ */
+function read_classic_frames(buffer) {
+    const magic = buffer.readUInt32LE(0);
+    const little_endian = magic === 0xA1B2C3D4 || magic === 0xA1B23C4D;
+    const nanoseconds = magic === 0xA1B23C4D || magic === 0x4D3CB2A1;
+    const read32 = offset => little_endian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset);
+    if (buffer.length < 24) {
+        throw new Error('the pcap header is truncated');
+    }
+    // The upper bits of the link type field may carry FCS information.
+    const linktype = read32(20) & 0x0FFFFFFF;
+
+    const frames = [];
+    let offset = 24;
+    // A capture that was interrupted may end with a partial record, which is ignored.
+    while (offset + 16 <= buffer.length) {
+        const seconds = read32(offset);
+        const fraction = read32(offset + 4);
+        const captured_length = read32(offset + 8);
+        const start = offset + 16;
+        if (start + captured_length > buffer.length) break;
+        frames.push({
+            timestamp: seconds * 1000 + (nanoseconds ? fraction / 1e6 : fraction / 1e3),
+            linktype,
+            frame: buffer.subarray(start, start + captured_length)
+        });
+        offset = start + captured_length;
+    }
+    return frames;
+}
+
+/**
+ * Reads the timestamp resolution option (if_tsresol) of a pcapng interface description block.
+ *
+ * @returns {number} Timestamp units per second.
+ */
+function read_timestamp_resolution(block, little_endian) {
+    const read16 = offset => little_endian ? block.readUInt16LE(offset) : block.readUInt16BE(offset);
+    let offset = 16;
+    while (offset + 4 <= block.length - 4) {
+        const code = read16(offset);
+        const length = read16(offset + 2);
+        if (code === 0) break;
+        if (code === 9 && length >= 1) {
+            const value = block[offset + 4];
+            return value & 0x80 ? 2 ** (value & 0x7F) : 10 ** value;
+        }
+        offset += 4 + Math.ceil(length / 4) * 4;
+    }
+    return 1e6;
+}
+
+/**
+ * Reads the frames of a pcapng file from its enhanced and simple packet blocks.
+ *
+ * @param {Buffer} buffer - The file contents.
+ * @returns {Array<{timestamp: number, linktype: number, frame: Buffer}>} The frames, timestamps in milliseconds.
+ *   Simple packet blocks carry no timestamp and are given the previous packet's time.
+ */
+function read_pcapng_frames(buffer) {
+    const frames = [];
+    let little_endian = true;
+    let interfaces = [];
+    let last_timestamp = 0;
+    let offset = 0;
+    while (offset + 12 <= buffer.length) {
+        const type = buffer.readUInt32LE(offset);
+        if (type === BLOCK_SECTION_HEADER) {
+            // Each section declares its own byte order.
+            const byte_order = buffer.readUInt32LE(offset + 8);
+            if (byte_order !== 0x1A2B3C4D && byte_order !== 0x4D3C2B1A) {
+                throw new Error(`invalid section header at byte ${offset}`);
+            }
+            little_endian = byte_order === 0x1A2B3C4D;
+            interfaces = [];
+        }
+        const read32 = position => little_endian ? buffer.readUInt32LE(position) : buffer.readUInt32BE(position);
+        const block_type = read32(offset);
+        const block_length = read32(offset + 4);
+        if (block_length < 12 || block_length % 4 !== 0) {
+            throw new Error(`invalid block length ${block_length} at byte ${offset}`);
+        }
+        // As with classic pcap, a partial last block is ignored.
+        if (offset + block_length > buffer.length) break;
+        const block = buffer.subarray(offset, offset + block_length);
+
+        if (block_type === BLOCK_INTERFACE_DESCRIPTION) {
+            const linktype = little_endian ? block.readUInt16LE(8) : block.readUInt16BE(8);
+            interfaces.push({ linktype, units_per_second: read_timestamp_resolution(block, little_endian) });
+        } else if (block_type === BLOCK_ENHANCED_PACKET && block_length >= 32) {
+            const iface = interfaces[read32(offset + 8)];
+            if (!iface) {
+                throw new Error(`packet at byte ${offset} refers to an undeclared interface`);
+            }
+            const units = read32(offset + 12) * 2 ** 32 + read32(offset + 16);
+            const captured_length = read32(offset + 20);
+            if (28 + captured_length <= block_length - 4) {
+                last_timestamp = units / iface.units_per_second * 1000;
+                frames.push({ timestamp: last_timestamp, linktype: iface.linktype, frame: block.subarray(28, 28 + captured_length) });
+            }
+        } else if (block_type === BLOCK_SIMPLE_PACKET && block_length >= 16 && interfaces.length) {
+            // The captured length is the block size, less padding, capped by the original length.
+            const original_length = read32(offset + 8);
+            const captured_length = Math.min(original_length, block_length - 16);
+            frames.push({ timestamp: last_timestamp, linktype: interfaces[0].linktype, frame: block.subarray(12, 12 + captured_length) });
+        }
+        offset += block_length;
+    }
+    return frames;
+}
+
+/**
+ * Extracts the mDNS datagrams from a classic pcap or pcapng capture, such as one
+ * saved by Wireshark or tcpdump.
+ *
+ * Ethernet, Linux cooked capture and raw IP link types are supported. Only UDP
+ * datagrams from or to the mDNS port are returned; fragmented packets are skipped.
+ *
+ * @param {Buffer} buffer - The file contents.
+ * @param {number} [port=5353] - The mDNS port.
+ * @returns {Array<object>} The datagrams in capture order: `timestamp` (milliseconds), `family`,
+ *   `source`, `source_port`, `destination`, `destination_port` and `payload` (Buffer).
+ * @throws Will throw an error if the buffer is not a pcap or pcapng capture.
+ */
+function read_pcap(buffer, port = 5353) {
+    try {
+        if (buffer.length < 4) {
+            throw new Error('the file is too short');
+        }
+        let frames;
+        const magic = buffer.readUInt32LE(0);
+        if (magic === BLOCK_SECTION_HEADER) {
+            frames = read_pcapng_frames(buffer);
+        } else if ([0xA1B2C3D4, 0xD4C3B2A1, 0xA1B23C4D, 0x4D3CB2A1].includes(magic)) {
+            frames = read_classic_frames(buffer);
+        } else {
+            throw new Error('not a pcap or pcapng file');
+        }
+
+        const datagrams = [];
+        for (const { timestamp, linktype, frame } of frames) {
+            const packet = strip_link_layer(linktype, frame);
+            const datagram = packet && decode_udp_packet(packet);
+            if (datagram && (datagram.source_port === port || datagram.destination_port === port)) {
+                datagrams.push({ timestamp, ...datagram });
+            }
+        }
+        return datagrams;
+    } catch (error) {
+        throw new Error(`Error reading pcap: ${error.message}`);
+    }
+}
+
+/**
+ * Shows what the library would have discovered from a Wireshark or tcpdump capture.
+ *
+ * The mDNS datagrams are extracted with read_pcap() and replayed through the
+ * listener with replay_capture(), so records expire as they did on the wire.
+ *
+ * @param {string|Buffer} source - The path of a pcap or pcapng file, or its contents.
+ * @param {object} [options] - The replay_capture options. `mdns_port` also selects the datagrams.
+ * @returns {Promise<{packets: number, services: Array<object>}>} A promise that resolves with the number of
+ *   mDNS datagrams in the capture and the services known after the last one.
+ * @throws Rejects if the file cannot be read or is not a capture.
+ */
+async function analyze_pcap(source, options = {}) {
+    let buffer = source;
+    if (!Buffer.isBuffer(source)) {
+        try {
+            buffer = fs.readFileSync(source);
+        } catch (error) {
+            throw new Error(`Error reading pcap: ${error.message}`);
+        }
+    }
+    const datagrams = read_pcap(buffer, options.mdns_port || 5353);
+    // The capturing host's interfaces are unknown, so every datagram is attributed to one.
+    const entries = datagrams.map(datagram => ({
+        timestamp: datagram.timestamp,
+        rinfo: {
+            address: datagram.source,
+            family: datagram.family,
+            port: datagram.source_port,
+            size: datagram.payload.length
+        },
+        payload: datagram.payload.toString('base64')
+    }));
+    const services = await replay_capture(entries, options);
+    return { packets: datagrams.length, services };
+}
+
+module.exports = {
+    read_pcap,
+    analyze_pcap,
+};
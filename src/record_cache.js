@@ -0,0 +1,210 @@
+/**
+ * Delay (in milliseconds) before a record that received a goodbye or was
+ * flushed is actually removed (RFC 6762, sections 10.1 and 10.2).
+ */
+const FLUSH_DELAY = 1000;
+
+/**
+ * Fractions of a record's TTL at which a browser re-queries to keep it alive
+ * (RFC 6762, section 5.2).
+ */
+const REFRESH_POINTS = [0.80, 0.85, 0.90, 0.95];
+
+/**
+ * Builds the cache key for a record's name, type and class.
+ *
+ * @param {string} name - The owner name.
+ * @param {number} type - The record type.
+ * @param {number} cls - The record class (without the cache-flush bit).
+ * @returns {string} The cache key.
+ */
+function record_key(name, type, cls) {
+    return `${name.toLowerCase()}|${type}|${cls}`;
+}
+
+/**
+ * A cache of mDNS resource records that honours record TTLs, goodbye packets
+ * (TTL 0) and the cache-flush bit.
+ *
+ * Records are grouped by name/type/class; within a group each distinct RDATA is
+ * stored once and refreshed when it is received again.
+ */
+class RecordCache {
+    constructor() {
+        // Map of record_key -> Map of serialized rdata -> { record, received, expires }
+        this.groups = new Map();
+    }
+
+    /**
+     * Adds or refreshes a record.
+     *
+     * @param {object} record - A record as returned by parse_record.
+     * @param {number} [now=Date.now()] - The time the record was received, in milliseconds.
+     * @returns {boolean} True if the record was not cached before. A goodbye for a record that
+     *   is not cached is ignored and returns false.
+     */
+    add_record(record, now = Date.now()) {
+        const key = record_key(record.name, record.type, record.cls);
+        // TXT records compare by their raw attributes, since binary values do not survive the string map
+        const rdata_key = JSON.stringify(record.txt || record.rdata);
+        // A goodbye for something never seen must not make it appear for the grace period.
+        if (record.ttl === 0 && !(this.groups.has(key) && this.groups.get(key).has(rdata_key))) {
+            return false;
+        }
+        if (!this.groups.has(key)) {
+            this.groups.set(key, new Map());
+        }
+        const group = this.groups.get(key);
+
+        // A cache-flush record replaces every other record in its group that is
+        // older than one second, giving them a one second grace period.
+        if (record.cache_flush) {
+            for (const entry of group.values()) {
+                if (now - entry.received > FLUSH_DELAY) {
+                    entry.expires = Math.min(entry.expires, now + FLUSH_DELAY);
+                }
+            }
+        }
+
+        const is_new = !group.has(rdata_key);
+        // Goodbye packets (TTL 0) schedule removal one second later.
+        const expires = record.ttl === 0 ? now + FLUSH_DELAY : now + record.ttl * 1000;
+        // Re-insert so each group stays ordered from oldest to newest
+        group.delete(rdata_key);
+        // Up to 2% of the TTL is added to each refresh point so browsers do not query in lockstep.
+        const jitter = Math.random() * 0.02;
+        group.set(rdata_key, { record, received: now, expires, jitter });
+        return is_new;
+    }
+
+    /**
+     * Returns the live records for a name and type.
+     *
+     * @param {string} name - The owner name.
+     * @param {number} type - The record type.
+     * @param {number} [cls=1] - The record class.
+     * @returns {Array<object>} The cached records, oldest first.
+     */
+    get_records(name, type, cls = 1) {
+        const group = this.groups.get(record_key(name, type, cls));
+        return group ? Array.from(group.values(), entry => entry.record) : [];
+    }
+
+    /**
+     * Returns every live record of the given type.
+     *
+     * @param {number} type - The record type.
+     * @returns {Array<object>} The cached records.
+     */
+    get_records_by_type(type) {
+        const records = [];
+        for (const group of this.groups.values()) {
+            for (const entry of group.values()) {
+                if (entry.record.type === type) {
+                    records.push(entry.record);
+                }
+            }
+        }
+        return records;
+    }
+
+    /**
+     * Returns the records for a name and type that may be listed as known answers in a query.
+     *
+     * Only records with more than half of their TTL remaining qualify (RFC 6762,
+     * section 7.1). The returned records carry their remaining TTL.
+     *
+     * @param {string} name - The owner name.
+     * @param {number} type - The record type.
+     * @param {number} [now=Date.now()] - The current time in milliseconds.
+     * @returns {Array<object>} Copies of the records with `ttl` set to the remaining seconds.
+     */
+    get_known_answers(name, type, now = Date.now()) {
+        const group = this.groups.get(record_key(name, type, 1));
+        if (!group) return [];
+        const answers = [];
+        for (const entry of group.values()) {
+            const remaining = Math.floor((entry.expires - now) / 1000);
+            if (entry.record.ttl > 0 && remaining > entry.record.ttl / 2) {
+                answers.push({ ...entry.record, ttl: remaining });
+            }
+        }
+        return answers;
+    }
+
+    /**
+     * Returns the next time a record for a name and type should be refreshed by
+     * re-querying, at 80%, 85%, 90% and 95% of its TTL.
+     *
+     * @param {string} name - The owner name.
+     * @param {number} type - The record type.
+     * @param {number} [now=Date.now()] - The current time in milliseconds.
+     * @returns {number|null} The refresh time in milliseconds, or null if nothing needs refreshing.
+     */
+    next_refresh(name, type, now = Date.now()) {
+        const group = this.groups.get(record_key(name, type, 1));
+        if (!group) return null;
+        let next = null;
+        for (const entry of group.values()) {
+            if (entry.record.ttl === 0) continue;
+            for (const point of REFRESH_POINTS) {
+                const at = entry.received + entry.record.ttl * 1000 * (point + entry.jitter);
+                if (at > now && (next === null || at < next)) {
+                    next = at;
+                    break;
+                }
+            }
+        }
+        return next;
+    }
+
+    /**
+     * Removes every record whose TTL has run out.
+     *
+     * @param {number} [now=Date.now()] - The current time in milliseconds.
+     * @returns {Array<object>} The records that were removed.
+     */
+    expire(now = Date.now()) {
+        const removed = [];
+        for (const [key, group] of this.groups) {
+            for (const [rdata_key, entry] of group) {
+                if (entry.expires <= now) {
+                    group.delete(rdata_key);
+                    removed.push(entry.record);
+                }
+            }
+            if (!group.size) {
+                this.groups.delete(key);
+            }
+        }
+        return removed;
+    }
+
+    /**
+     * Returns the time at which the next record expires.
+     *
+     * @returns {number|null} The expiry time in milliseconds, or null if the cache is empty.
+     */
+    next_expiry() {
+        let next = null;
+        for (const group of this.groups.values()) {
+            for (const entry of group.values()) {
+                if (next === null || entry.expires < next) {
+                    next = entry.expires;
+                }
+            }
+        }
+        return next;
+    }
+
+    /**
+     * Removes every record from the cache.
+     */
+    clear() {
+        this.groups.clear();
+    }
+}
+
+module.exports = {
+    RecordCache,
+};
@@ -0,0 +1,212 @@
+const dgram = require('dgram');
+const net = require('net');
+const EventEmitter = require('events');
+const { list_interfaces } = require('./list_interfaces');
+
+/**
+ * A transport supplies the sockets and local interfaces used by the listener
+ * and the responder. Sockets follow the subset of the dgram.Socket API in use:
+ * `bind(port, address, callback)`, `addMembership(group, interface)`,
+ * `setMulticastInterface(interface)`, `send(msg, offset, length, port, address, callback)`,
+ * `close()`, and the 'message', 'error' and 'close' events.
+ *
+ * @typedef {object} Transport
+ * @property {function(string): object} create_socket - Creates a socket of type 'udp4' or 'udp6'.
+ * @property {function(): Array<object>} list_interfaces - Lists the local interfaces, shaped like list_interfaces().
+ */
+
+/**
+ * The default transport: real UDP sockets and the host's network interfaces.
+ *
+ * @type {Transport}
+ */
+const udp_transport = {
+    create_socket(type) {
+        return dgram.createSocket({ type, reuseAddr: true });
+    },
+    list_interfaces,
+};
+
+/**
+ * Builds a dgram-style error, so callers can rely on `code` and `syscall` as with real sockets.
+ */
+function socket_error(message, code, syscall) {
+    const error = new Error(message);
+    error.code = code;
+    if (syscall) {
+        error.syscall = syscall;
+    }
+    return error;
+}
+
+/**
+ * A socket on a VirtualLan. Created through a virtual host's transport.
+ *
+ * @extends EventEmitter
+ */
+class VirtualSocket extends EventEmitter {
+    /**
+     * @param {VirtualLan} lan - The network the socket is attached to.
+     * @param {Array<object>} interfaces - The interfaces of the host owning the socket.
+     * @param {string} type - 'udp4' or 'udp6'.
+     */
+    constructor(lan, interfaces, type) {
+        super();
+        this.lan = lan;
+        this.interfaces = interfaces;
+        this.family = type === 'udp6' ? 'IPv6' : 'IPv4';
+        this.port = null;
+        this.memberships = new Set();
+        this.multicast_interface = null;
+        this.closed = false;
+    }
+
+    /**
+     * Finds the host interface an address refers to: a local address, or '::%<scope>'
+     * with an interface name or scope ID, as produced by resolve_ipv6_interface().
+     */
+    find_interface(address) {
+        const scope_index = address.indexOf('%');
+        if (scope_index !== -1 && address.split('%')[0] === '::') {
+            const scope = address.substring(scope_index + 1);
+            return this.interfaces.find(iface => iface.family === this.family
+                && (iface.name === scope || String(iface.scopeid) === scope));
+        }
+        return this.interfaces.find(iface => iface.address === address.split('%')[0]);
+    }
+
+    /**
+     * The address packets from this socket appear to come from.
+     */
+    source_address() {
+        const iface = this.multicast_interface || this.interfaces.find(entry => entry.family === this.family);
+        return iface ? iface.address : (this.family === 'IPv6' ? '::' : '0.0.0.0');
+    }
+
+    bind(port, address, callback) {
+        if (this.closed) {
+            throw socket_error('Not running', 'ERR_SOCKET_DGRAM_NOT_RUNNING');
+        }
+        const wildcard = address === '0.0.0.0' || address === '::';
+        if (address && !wildcard && !this.find_interface(address)) {
+            process.nextTick(() => {
+                this.emit('error', socket_error(`bind EADDRNOTAVAIL ${address}`, 'EADDRNOTAVAIL', 'bind'));
+            });
+            return;
+        }
+        this.port = port;
+        this.lan.sockets.add(this);
+        process.nextTick(() => {
+            this.emit('listening');
+            if (callback) callback();
+        });
+    }
+
+    addMembership(group, interface_address) {
+        if (interface_address && !this.find_interface(interface_address)) {
+            throw socket_error('addMembership EADDRNOTAVAIL', 'EADDRNOTAVAIL', 'addMembership');
+        }
+        this.memberships.add(group.toLowerCase());
+    }
+
+    setMulticastInterface(interface_address) {
+        const iface = this.find_interface(interface_address);
+        if (!iface) {
+            throw socket_error('setMulticastInterface EADDRNOTAVAIL', 'EADDRNOTAVAIL', 'setMulticastInterface');
+        }
+        this.multicast_interface = iface;
+    }
+
+    send(msg, offset, length, port, address, callback) {
+        if (this.closed) {
+            throw socket_error('Not running', 'ERR_SOCKET_DGRAM_NOT_RUNNING');
+        }
+        this.lan.deliver(this, Buffer.from(msg.subarray(offset, offset + length)), port, address);
+        if (callback) {
+            process.nextTick(callback, null);
+        }
+    }
+
+    close() {
+        if (this.closed) {
+            throw socket_error('Not running', 'ERR_SOCKET_DGRAM_NOT_RUNNING');
+        }
+        this.closed = true;
+        this.lan.sockets.delete(this);
+        process.nextTick(() => this.emit('close'));
+    }
+}
+
+/**
+ * An in-memory network segment for running responders and browsers in one process.
+ *
+ * Each simulated host gets its own transport with its own interfaces. Packets
+ * sent to a multicast group reach every bound socket of the same family that
+ * joined the group, including the sender's own (multicast loopback); packets
+ * sent to an address reach the sockets of the host owning it.
+ *
+ * @example
+ * const lan = new VirtualLan();
+ * advertise_service({ name: 'Studio', port: 80, interface: '10.0.0.1', transport: lan.create_transport('10.0.0.1') });
+ * const services = await search_mdns_servicesmv1({ interface: '10.0.0.2', transport: lan.create_transport('10.0.0.2') });
+ */
+class VirtualLan {
+    constructor() {
+        this.sockets = new Set();
+        this.host_count = 0;
+    }
+
+    /**
+     * Creates the transport of a simulated host.
+     *
+     * @param {string|object|Array<string|object>} interfaces - The host's addresses, or interface entries with
+     *   `address` and optionally `name`, `netmask` and `scopeid`.
+     * @returns {Transport} The host's transport.
+     */
+    create_transport(interfaces) {
+        this.host_count += 1;
+        const host_interfaces = (Array.isArray(interfaces) ? interfaces : [interfaces]).map((entry, index) => {
+            const address = typeof entry === 'string' ? entry : entry.address;
+            const family = net.isIPv6(address) ? 'IPv6' : 'IPv4';
+            const iface = {
+                name: entry.name || `vlan${index}`,
+                address,
+                family,
+                netmask: entry.netmask || (family === 'IPv6' ? 'ffff:ffff:ffff:ffff::' : '255.255.255.0'),
+                mac: '00:00:00:00:00:00',
+                internal: false,
+            };
+            if (family === 'IPv6') {
+                iface.scopeid = entry.scopeid !== undefined ? entry.scopeid : index + 1;
+            }
+            return iface;
+        });
+        return {
+            create_socket: (type) => new VirtualSocket(this, host_interfaces, type),
+            list_interfaces: () => host_interfaces.map(iface => ({ ...iface })),
+        };
+    }
+
+    /**
+     * Delivers a packet to every socket it is addressed to, asynchronously like a real network.
+     */
+    deliver(sender, msg, port, address) {
+        const group = address.toLowerCase();
+        const rinfo = { address: sender.source_address(), family: sender.family, port: sender.port, size: msg.length };
+        for (const socket of this.sockets) {
+            if (socket.family !== sender.family || socket.port !== port) continue;
+            if (!socket.memberships.has(group) && !socket.find_interface(address)) continue;
+            setImmediate(() => {
+                if (!socket.closed) {
+                    socket.emit('message', Buffer.from(msg), { ...rinfo });
+                }
+            });
+        }
+    }
+}
+
+module.exports = {
+    udp_transport,
+    VirtualLan,
+    VirtualSocket,
+};
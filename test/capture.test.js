@@ -0,0 +1,89 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { PassThrough } = require('node:stream');
+const { VirtualLan, advertise_service, search_mdns_servicesmv1, replay_capture } = require('..');
+
+/**
+ * Searches a virtual LAN with two responders, recording the packets received.
+ */
+async function capture_search() {
+    const lan = new VirtualLan();
+    const studio = advertise_service({
+        name: 'Studio',
+        port: 80,
+        txt: { location: 'Office' },
+        interface: '10.0.0.1',
+        transport: lan.create_transport('10.0.0.1')
+    });
+    const kitchen = advertise_service({
+        name: 'Kitchen',
+        port: 81,
+        host: 'kitchen',
+        ttl: 2,
+        interface: '10.0.0.3',
+        transport: lan.create_transport('10.0.0.3')
+    });
+    const capture = new PassThrough();
+    let lines = '';
+    capture.on('data', (chunk) => {
+        lines += chunk;
+    });
+    const services = await search_mdns_servicesmv1({
+        interface: '10.0.0.2',
+        transport: lan.create_transport('10.0.0.2'),
+        timeout: 200,
+        capture
+    });
+    await studio.stop();
+    await kitchen.stop();
+    const entries = lines.trim().split('\n').map(line => JSON.parse(line));
+    return { services, entries };
+}
+
+const summarize = services => services
+    .map(service => ({ name: service.name, port: service.port, addresses: service.addresses, properties: service.properties }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+describe('capture and replay_capture', () => {
+    it('records every received packet as an entry', async () => {
+        const { entries } = await capture_search();
+        assert.ok(entries.length > 0);
+        for (const entry of entries) {
+            assert.strictEqual(typeof entry.timestamp, 'number');
+            assert.strictEqual(entry.interface.address, '10.0.0.2');
+            assert.strictEqual(entry.rinfo.port, 5353);
+            assert.strictEqual(Buffer.from(entry.payload, 'base64').length, entry.rinfo.size);
+        }
+    });
+
+    it('replays a capture to the services found live', async () => {
+        const { services, entries } = await capture_search();
+        const found = [];
+        const replayed = await replay_capture(entries, { on_service_found: service => found.push(service.name) });
+
+        assert.deepStrictEqual(summarize(replayed), summarize(services));
+        assert.deepStrictEqual(found.sort(), ['Kitchen', 'Studio']);
+        // Replays are deterministic
+        assert.deepStrictEqual(summarize(await replay_capture(entries)), summarize(replayed));
+    });
+
+    it('expires records by the captured timestamps', async () => {
+        const { entries } = await capture_search();
+        const studio = entries.find(entry => Buffer.from(entry.payload, 'base64').includes('Studio'));
+        // Studio answers again 5s later, after the Kitchen's 2s TTL has run out
+        const later = { ...studio, timestamp: entries[entries.length - 1].timestamp + 5000 };
+        const removed = [];
+        const replayed = await replay_capture([...entries, later], { on_service_removed: service => removed.push(service.name) });
+
+        assert.deepStrictEqual(replayed.map(service => service.name), ['Studio']);
+        assert.deepStrictEqual(removed, ['Kitchen']);
+    });
+
+    it('resolves an empty capture to no services', async () => {
+        assert.deepStrictEqual(await replay_capture([]), []);
+    });
+
+    it('rejects a file that is not a capture', async () => {
+        await assert.rejects(replay_capture(__filename), /Error reading capture: line 1 is not valid JSON/);
+    });
+});
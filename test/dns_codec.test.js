@@ -0,0 +1,219 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const {
+    encode_dns_message,
+    parse_dns_message,
+    parse_record,
+    register_record_type,
+    record_type_name,
+    txt_properties,
+    get_txt_value,
+    DnsParseError
+} = require('..');
+
+describe('encode_dns_message and parse_dns_message', () => {
+    it('round-trips a response with every record type the responder uses', () => {
+        const instance = 'Studio 1\\.2 Monitor._smart_ip._tcp.local';
+        const message = {
+            header: { id: 0, flags: { qr: true, opcode: 0, aa: true, tc: false, rd: false, ra: false, rcode: 0 } },
+            questions: [{ name: '_smart_ip._tcp.local', qtype: 12, qclass: 1, unicast_response: true }],
+            answers: [
+                { name: '_smart_ip._tcp.local', type: 12, cls: 1, cache_flush: false, ttl: 4500, rdata: instance },
+                {
+                    name: instance,
+                    type: 33,
+                    cls: 1,
+                    cache_flush: true,
+                    ttl: 120,
+                    rdata: { priority: 0, weight: 0, port: 8080, target: 'studio.local' }
+                },
+                { name: instance, type: 16, cls: 1, cache_flush: true, ttl: 120, rdata: { location: 'Office', secure: true } }
+            ],
+            additionals: [
+                { name: 'studio.local', type: 1, cls: 1, cache_flush: true, ttl: 120, rdata: '192.168.1.105' },
+                { name: 'studio.local', type: 28, cls: 1, cache_flush: true, ttl: 120, rdata: 'fe80::1' }
+            ]
+        };
+        const parsed = parse_dns_message(encode_dns_message(message));
+
+        assert.deepStrictEqual(parsed.header.flags, message.header.flags);
+        assert.deepStrictEqual(parsed.questions.map(({ offset, ...question }) => question), message.questions);
+        const strip = ({ name, type, cls, cache_flush, ttl, rdata }) => ({ name, type, cls, cache_flush, ttl, rdata });
+        assert.deepStrictEqual(parsed.answers.map(strip), message.answers);
+        assert.deepStrictEqual(parsed.additionals.map(strip), message.additionals);
+        assert.deepStrictEqual(parsed.records.map(record => record.type_name), ['PTR', 'SRV', 'TXT', 'A', 'AAAA']);
+    });
+
+    it('compresses repeated names', () => {
+        const record = (type, rdata) => ({ name: 'device._smart_ip._tcp.local', type, ttl: 120, rdata });
+        const single = encode_dns_message({ answers: [record(16, { a: '1' })] });
+        const double = encode_dns_message({ answers: [record(16, { a: '1' }), record(16, { b: '2' })] });
+        // The second owner name is a two-byte pointer
+        assert.strictEqual(double.length - single.length, 2 + 10 + 4);
+    });
+});
+
+describe('TXT records', () => {
+    // A TXT record built from raw character-strings, so malformed and duplicate attributes can be written
+    const parse_txt = (...strings) => {
+        const rdata = Buffer.concat(strings.map(string => Buffer.concat([Buffer.from([string.length]), Buffer.from(string)])));
+        const header = Buffer.from([0, 0, 16, 0, 1, 0, 0, 0, 120, rdata.length >> 8, rdata.length & 0xFF]);
+        return parse_record(Buffer.concat([header, rdata]), 0);
+    };
+
+    it('keeps the first of several keys differing only in case', () => {
+        const record = parse_txt('Room=Hall', 'room=Kitchen', 'ROOM');
+        assert.deepStrictEqual(record.rdata, { Room: 'Hall' });
+        assert.deepStrictEqual(txt_properties(record.txt), { Room: 'Hall' });
+        assert.deepStrictEqual(get_txt_value(record.txt, 'room'), Buffer.from('Hall'));
+        assert.deepStrictEqual(get_txt_value(record.txt, 'ROOM'), Buffer.from('Hall'));
+        assert.strictEqual(record.txt.length, 3);
+    });
+
+    it('keeps binary values byte for byte through a round trip', () => {
+        const value = Buffer.from([0xFF, 0x00, 0x3D]);
+        const packet = encode_dns_message({ answers: [{ name: 'studio.local', type: 16, ttl: 120, rdata: [{ key: 'key', value }] }] });
+        const [record] = parse_dns_message(packet).answers;
+        assert.deepStrictEqual(get_txt_value(record.txt, 'key'), value);
+
+        // Encoding from `txt` rather than the lossy string map preserves the bytes again
+        const again = parse_dns_message(encode_dns_message({ answers: [record] })).answers[0];
+        assert.deepStrictEqual(again.txt, record.txt);
+    });
+
+    it('keeps attributes in order', () => {
+        const record = parse_txt('txtvers=1', 'path=/api', 'secure', 'model=A2');
+        assert.deepStrictEqual(record.txt.map(entry => entry.key.toString()), ['txtvers', 'path', 'secure', 'model']);
+        assert.deepStrictEqual(Object.keys(record.rdata), ['txtvers', 'path', 'secure', 'model']);
+        assert.strictEqual(get_txt_value(record.txt, 'secure'), null);
+        assert.strictEqual(get_txt_value(record.txt, 'missing'), undefined);
+    });
+
+    it('skips empty strings and strings without a key', () => {
+        const record = parse_txt('', '=orphan', 'a=1', '');
+        assert.deepStrictEqual(record.rdata, { a: '1' });
+        assert.strictEqual(record.txt.length, 1);
+    });
+});
+
+describe('record types beyond service discovery', () => {
+    const round_trip = record => parse_dns_message(encode_dns_message({ answers: [record] })).answers[0];
+
+    it('round-trips CNAME and HINFO records', () => {
+        const cname = round_trip({ name: 'www.local', type: 5, ttl: 120, rdata: 'studio.local' });
+        assert.strictEqual(cname.type_name, 'CNAME');
+        assert.strictEqual(cname.rdata, 'studio.local');
+
+        const hinfo = round_trip({ name: 'studio.local', type: 13, ttl: 120, rdata: { cpu: 'ARM64', os: 'Linux 6.1' } });
+        assert.strictEqual(hinfo.type_name, 'HINFO');
+        assert.deepStrictEqual(hinfo.rdata, { cpu: 'ARM64', os: 'Linux 6.1' });
+    });
+
+    it('round-trips NSEC type bitmaps across several windows', () => {
+        const types = [1, 16, 28, 33, 47, 255, 256, 1234, 65280, 65535];
+        const nsec = round_trip({ name: 'studio.local', type: 47, ttl: 120, rdata: { next_domain: 'studio.local', types } });
+        assert.strictEqual(nsec.type_name, 'NSEC');
+        assert.deepStrictEqual(nsec.rdata, { next_domain: 'studio.local', types });
+    });
+
+    it('round-trips an OPT pseudo-record', () => {
+        const options = [{ code: 4, data: Buffer.from([0, 0, 1, 2, 3, 4, 5, 6]) }, { code: 10, data: Buffer.alloc(0) }];
+        // The class carries the UDP payload size and the TTL the extended RCODE, version and DO bit
+        const opt = round_trip({ name: '', type: 41, cls: 1440, ttl: 0x8000, rdata: { options } });
+        assert.strictEqual(opt.type_name, 'OPT');
+        assert.deepStrictEqual(opt.rdata, { udp_payload_size: 1440, extended_rcode: 0, version: 0, dnssec_ok: true, options });
+    });
+
+    describe('rejects malformed NSEC bitmaps', () => {
+        // Root owner, type NSEC, class IN, TTL 120, then RDLENGTH and RDATA starting with the root next domain
+        const nsec = rdata => Buffer.concat([
+            Buffer.from([0, 0, 47, 0, 1, 0, 0, 0, 120, 0, rdata.length + 1, 0]),
+            Buffer.from(rdata)
+        ]);
+
+        it('with a zero-length bitmap', () => {
+            assert.throws(() => parse_record(nsec([0, 0]), 0), (error) =>
+                error instanceof DnsParseError && /NSEC bitmap has length 0, expected 1 to 32/.test(error.message));
+        });
+
+        it('with a bitmap longer than 32 bytes', () => {
+            assert.throws(() => parse_record(nsec([0, 33, ...Buffer.alloc(33)]), 0), (error) =>
+                error instanceof DnsParseError && /NSEC bitmap has length 33, expected 1 to 32/.test(error.message));
+        });
+
+        it('with a truncated window block', () => {
+            assert.throws(() => parse_record(nsec([0]), 0), (error) =>
+                error instanceof DnsParseError && /NSEC window block needs 2 byte\(s\) but only 1 remain/.test(error.message));
+        });
+
+        it('with a bitmap running past the record', () => {
+            assert.throws(() => parse_record(nsec([0, 4, 0x40]), 0), (error) =>
+                error instanceof DnsParseError && /NSEC bitmap needs 4 byte\(s\) but only 1 remain/.test(error.message));
+        });
+    });
+});
+
+describe('register_record_type', () => {
+    it('decodes and encodes a registered type', () => {
+        register_record_type(65281, {
+            name: 'VENDOR',
+            decode: (buffer, offset, end) => ({ level: buffer.readUInt8(offset), label: buffer.toString('utf8', offset + 1, end) }),
+            encode: rdata => Buffer.concat([Buffer.from([rdata.level]), Buffer.from(rdata.label)])
+        });
+        const packet = encode_dns_message({ answers: [{ name: 'studio.local', type: 65281, ttl: 120, rdata: { level: 3, label: 'amp' } }] });
+        const [record] = parse_dns_message(packet).answers;
+        assert.strictEqual(record.type_name, 'VENDOR');
+        assert.strictEqual(record_type_name(65281), 'VENDOR');
+        assert.deepStrictEqual(record.rdata, { level: 3, label: 'amp' });
+    });
+
+    it('refuses to replace a built-in type', () => {
+        assert.throws(() => register_record_type(33, { name: 'MYSRV', decode: () => null }), /SRV \(33\) is built in/);
+        assert.strictEqual(record_type_name(33), 'SRV');
+    });
+
+    it('reports a throwing decoder as a DnsParseError', () => {
+        register_record_type(65282, { name: 'BROKEN', decode: () => { throw new RangeError('bad vendor data'); } });
+        const packet = encode_dns_message({ answers: [{ name: 'studio.local', type: 65282, ttl: 120, rdata: Buffer.from([1]) }] });
+        assert.throws(() => parse_dns_message(packet), (error) =>
+            error instanceof DnsParseError && /bad vendor data/.test(error.message));
+    });
+
+    it('names unknown types in the generic form', () => {
+        assert.strictEqual(record_type_name(65280), 'TYPE65280');
+    });
+});
+
+describe('parse_dns_message on malformed packets', () => {
+    const header = Buffer.from([0, 0, 0x84, 0, 0, 1, 0, 0, 0, 0, 0, 0]);
+
+    it('rejects a compression pointer to itself', () => {
+        const packet = Buffer.concat([header, Buffer.from([0xC0, 12, 0, 12, 0, 1])]);
+        assert.throws(() => parse_dns_message(packet), (error) =>
+            error instanceof DnsParseError && /does not point backwards/.test(error.message));
+    });
+
+    it('rejects a forward compression pointer', () => {
+        const packet = Buffer.concat([header, Buffer.from([0xC0, 20, 0, 12, 0, 1, 0, 0])]);
+        assert.throws(() => parse_dns_message(packet), (error) =>
+            error instanceof DnsParseError && /Compression pointer to 20/.test(error.message));
+    });
+
+    it('rejects a label longer than the packet', () => {
+        const packet = Buffer.concat([header, Buffer.from([5, 0x61, 0x62])]);
+        assert.throws(() => parse_dns_message(packet), (error) =>
+            error instanceof DnsParseError && error.offset === 13);
+    });
+
+    it('rejects an RDLENGTH longer than the packet', () => {
+        const answer_header = Buffer.from([0, 0, 0x84, 0, 0, 0, 0, 1, 0, 0, 0, 0]);
+        // Root owner name, type A, class IN, TTL 120, RDLENGTH 4 with only 2 bytes of data
+        const record = Buffer.from([0, 0, 1, 0, 1, 0, 0, 0, 120, 0, 4, 10, 0]);
+        assert.throws(() => parse_dns_message(Buffer.concat([answer_header, record])), (error) =>
+            error instanceof DnsParseError && /Record data needs 4 byte\(s\) but only 2 remain/.test(error.message));
+    });
+
+    it('rejects a header shorter than 12 bytes', () => {
+        assert.throws(() => parse_dns_message(Buffer.alloc(5)), DnsParseError);
+    });
+});
@@ -0,0 +1,62 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const { read_pcap, analyze_pcap, parse_dns_message } = require('..');
+
+// Both fixtures hold the same frames, starting at 1700000000s:
+//   0.0s  Studio (port 80, TTL 120) from 10.0.0.1, Ethernet with an 802.1Q tag
+//   0.5s  Kitchen (port 81, TTL 2) from 10.0.0.3
+//   0.6s  a UDP datagram to port 53, a fragmented mDNS packet and a TCP segment, all skipped
+//   0.9s  V6 (port 83, TTL 120) from fe80::5, behind an IPv6 hop-by-hop header
+//  10.0s  Studio again, by when the Kitchen's records have expired
+const FIXTURES = ['mdns.pcap', 'mdns.pcapng'];
+const START = 1700000000 * 1000;
+
+for (const fixture of FIXTURES) {
+    describe(`read_pcap on ${fixture}`, () => {
+        const buffer = fs.readFileSync(path.join(__dirname, 'fixtures', fixture));
+
+        it('extracts the mDNS datagrams with their timestamps and addresses', () => {
+            const datagrams = read_pcap(buffer);
+            assert.deepStrictEqual(
+                datagrams.map(datagram => [datagram.timestamp - START, datagram.family, datagram.source, datagram.destination]),
+                [
+                    [0, 'IPv4', '10.0.0.1', '224.0.0.251'],
+                    [500, 'IPv4', '10.0.0.3', '224.0.0.251'],
+                    [900, 'IPv6', 'fe80::5', 'ff02::fb'],
+                    [10000, 'IPv4', '10.0.0.1', '224.0.0.251']
+                ]
+            );
+            for (const datagram of datagrams) {
+                assert.strictEqual(datagram.source_port, 5353);
+                assert.ok(parse_dns_message(datagram.payload).header.flags.qr);
+            }
+        });
+
+        it('shows the services known at the end of the capture', async () => {
+            const result = await analyze_pcap(buffer);
+            assert.strictEqual(result.packets, 4);
+            assert.deepStrictEqual(
+                result.services.map(service => [service.name, service.port, service.addresses]),
+                [['Studio', 80, ['10.0.0.1']], ['V6', 83, ['fe80::5']]]
+            );
+        });
+    });
+}
+
+describe('read_pcap on other input', () => {
+    it('reads a capture from a file path in analyze_pcap', async () => {
+        const result = await analyze_pcap(path.join(__dirname, 'fixtures', 'mdns.pcapng'));
+        assert.strictEqual(result.packets, 4);
+    });
+
+    it('ignores a partial last record', () => {
+        const buffer = fs.readFileSync(path.join(__dirname, 'fixtures', 'mdns.pcap'));
+        assert.strictEqual(read_pcap(buffer.subarray(0, buffer.length - 10)).length, 3);
+    });
+
+    it('rejects a file that is not a capture', () => {
+        assert.throws(() => read_pcap(Buffer.from('hello world')), /Error reading pcap: not a pcap or pcapng file/);
+    });
+});
@@ -0,0 +1,85 @@
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { RecordCache } = require('..');
+
+const record = (rdata, ttl, extra = {}) => ({ name: 'studio.local', type: 1, cls: 1, cache_flush: false, ttl, rdata, ...extra });
+
+describe('RecordCache', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('expires records when their TTL runs out', () => {
+        const cache = new RecordCache();
+        assert.strictEqual(cache.add_record(record('10.0.0.1', 10), 0), true);
+        assert.strictEqual(cache.next_expiry(), 10000);
+
+        assert.deepStrictEqual(cache.expire(9999), []);
+        assert.deepStrictEqual(cache.get_records('Studio.local', 1).map(rec => rec.rdata), ['10.0.0.1']);
+        assert.deepStrictEqual(cache.expire(10000).map(rec => rec.rdata), ['10.0.0.1']);
+        assert.deepStrictEqual(cache.get_records('studio.local', 1), []);
+        assert.strictEqual(cache.next_expiry(), null);
+    });
+
+    it('keeps a record for one second after its goodbye', () => {
+        const cache = new RecordCache();
+        cache.add_record(record('10.0.0.1', 120), 0);
+        assert.strictEqual(cache.add_record(record('10.0.0.1', 0), 5000), false);
+
+        cache.expire(5999);
+        assert.strictEqual(cache.get_records('studio.local', 1).length, 1);
+        cache.expire(6000);
+        assert.strictEqual(cache.get_records('studio.local', 1).length, 0);
+    });
+
+    it('ignores a goodbye for a record it never cached', () => {
+        const cache = new RecordCache();
+        cache.add_record(record('10.0.0.1', 120), 0);
+        assert.strictEqual(cache.add_record(record('10.0.0.2', 0), 100), false);
+        assert.strictEqual(cache.add_record({ ...record('Ghost._smart_ip._tcp.local', 0), name: '_smart_ip._tcp.local', type: 12 }, 100), false);
+
+        assert.deepStrictEqual(cache.get_records('studio.local', 1).map(rec => rec.rdata), ['10.0.0.1']);
+        assert.deepStrictEqual(cache.get_records_by_type(12), []);
+        assert.strictEqual(cache.next_expiry(), 120000);
+    });
+
+    it('flushes only records received more than one second before a cache-flush record', () => {
+        const cache = new RecordCache();
+        cache.add_record(record('10.0.0.1', 120), 0);
+        cache.add_record(record('10.0.0.2', 120), 500);
+        cache.add_record(record('10.0.0.3', 120, { cache_flush: true }), 1200);
+
+        // 10.0.0.1 is 1.2s old and gets the one second grace period; 10.0.0.2 is only 0.7s old
+        cache.expire(2199);
+        assert.strictEqual(cache.get_records('studio.local', 1).length, 3);
+        cache.expire(2200);
+        assert.deepStrictEqual(cache.get_records('studio.local', 1).map(rec => rec.rdata), ['10.0.0.2', '10.0.0.3']);
+    });
+
+    it('refreshes at 80, 85, 90 and 95% of the TTL', () => {
+        mock.method(Math, 'random', () => 0);
+        const cache = new RecordCache();
+        cache.add_record(record('10.0.0.1', 100), 0);
+
+        assert.strictEqual(cache.next_refresh('studio.local', 1, 0), 80000);
+        assert.strictEqual(cache.next_refresh('studio.local', 1, 80000), 85000);
+        assert.strictEqual(cache.next_refresh('studio.local', 1, 85000), 90000);
+        assert.strictEqual(cache.next_refresh('studio.local', 1, 90000), 95000);
+        assert.strictEqual(cache.next_refresh('studio.local', 1, 95000), null);
+        assert.strictEqual(cache.next_refresh('other.local', 1, 0), null);
+    });
+
+    it('adds up to 2% of the TTL of jitter to each refresh point', () => {
+        mock.method(Math, 'random', () => 0.5);
+        const cache = new RecordCache();
+        cache.add_record(record('10.0.0.1', 100), 0);
+        assert.strictEqual(cache.next_refresh('studio.local', 1, 0), 81000);
+    });
+
+    it('lists known answers only while more than half their TTL remains', () => {
+        const cache = new RecordCache();
+        cache.add_record(record('10.0.0.1', 100), 0);
+
+        assert.deepStrictEqual(cache.get_known_answers('studio.local', 1, 49000).map(rec => rec.ttl), [51]);
+        assert.deepStrictEqual(cache.get_known_answers('studio.local', 1, 50000), []);
+        assert.deepStrictEqual(cache.get_known_answers('studio.local', 28, 0), []);
+    });
+});
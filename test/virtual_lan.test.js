@@ -0,0 +1,168 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { once } = require('node:events');
+const {
+    VirtualLan,
+    ServiceBrowser,
+    advertise_service,
+    search_mdns_services,
+    search_mdns_servicesmv1,
+    list_service_types,
+    parse_dns_message,
+    encode_dns_message,
+    InterfaceNotFoundError
+} = require('..');
+
+describe('discovery over a VirtualLan', () => {
+    it('finds an advertised service', async () => {
+        const lan = new VirtualLan();
+        const responder = advertise_service({
+            name: 'Studio 1.2 Monitor',
+            port: 8080,
+            txt: { location: 'Office' },
+            subtypes: ['_speaker'],
+            interface: '10.0.0.1',
+            transport: lan.create_transport('10.0.0.1')
+        });
+        const browser_transport = lan.create_transport('10.0.0.2');
+        try {
+            const [service] = await search_mdns_servicesmv1({ interface: '10.0.0.2', transport: browser_transport, timeout: 200 });
+            assert.strictEqual(service.name, 'Studio 1.2 Monitor');
+            assert.strictEqual(service.fqdn, 'Studio 1\\.2 Monitor._smart_ip._tcp.local');
+            assert.strictEqual(service.port, 8080);
+            assert.deepStrictEqual(service.addresses, ['10.0.0.1']);
+            assert.deepStrictEqual(service.properties, { location: 'Office' });
+            assert.deepStrictEqual(service.interfaces, ['10.0.0.2']);
+
+            const by_subtype = await search_mdns_servicesmv1({
+                interface: '10.0.0.2',
+                transport: browser_transport,
+                timeout: 200,
+                service_query: '_speaker._sub._smart_ip._tcp'
+            });
+            assert.deepStrictEqual(by_subtype.map(found => found.name), ['Studio 1.2 Monitor']);
+            assert.deepStrictEqual(await list_service_types({ interface: '10.0.0.2', transport: browser_transport, timeout: 200 }), ['_smart_ip._tcp']);
+        } finally {
+            await responder.stop();
+        }
+    });
+
+    it('reports a service as down when it says goodbye', async () => {
+        const lan = new VirtualLan();
+        const responder = advertise_service({
+            name: 'Kitchen',
+            port: 81,
+            interface: 'fe80::1',
+            transport: lan.create_transport('fe80::1')
+        });
+        const browser = new ServiceBrowser({ interface: 'fe80::2', transport: lan.create_transport('fe80::2') });
+        browser.start();
+        try {
+            const [up] = await once(browser, 'up');
+            assert.strictEqual(up.name, 'Kitchen');
+            assert.deepStrictEqual(up.addresses, ['fe80::1']);
+
+            await responder.stop();
+            // The goodbye removes the service after the one second grace period
+            const [down] = await once(browser, 'down');
+            assert.strictEqual(down.name, 'Kitchen');
+            assert.deepStrictEqual(browser.services, []);
+        } finally {
+            browser.stop();
+        }
+    });
+
+    it('reports a service from a PTR-only responder once it is resolved', async () => {
+        const lan = new VirtualLan();
+        const socket = lan.create_transport('10.0.0.1').create_socket('udp4');
+        const instance = 'Lamp._smart_ip._tcp.local';
+        const records = {
+            12: { name: '_smart_ip._tcp.local', type: 12, ttl: 4500, rdata: instance },
+            33: { name: instance, type: 33, ttl: 120, cache_flush: true, rdata: { priority: 0, weight: 0, port: 8081, target: 'lamp.local' } },
+            16: { name: instance, type: 16, ttl: 4500, cache_flush: true, rdata: { room: 'Hall' } },
+            1: { name: 'lamp.local', type: 1, ttl: 120, cache_flush: true, rdata: '10.0.0.1' }
+        };
+        // Answers each question with the record of exactly that type and nothing else
+        socket.on('message', (message) => {
+            const packet = parse_dns_message(message);
+            if (packet.header.flags.qr) return;
+            const answers = packet.questions.map(question => records[question.qtype]).filter(Boolean);
+            if (!answers.length) return;
+            const response = encode_dns_message({ header: { flags: { qr: true, aa: true } }, answers });
+            socket.send(response, 0, response.length, 5353, '224.0.0.251');
+        });
+        await new Promise(resolve => socket.bind(5353, '0.0.0.0', resolve));
+        socket.addMembership('224.0.0.251', '10.0.0.1');
+        try {
+            const found = [];
+            const services = await new Promise((resolve) => {
+                search_mdns_services({
+                    interface: '10.0.0.2',
+                    transport: lan.create_transport('10.0.0.2'),
+                    timeout: 500,
+                    on_service_found: service => found.push(service),
+                    on_search_complete: resolve
+                });
+            });
+            assert.strictEqual(found.length, 1);
+            assert.strictEqual(found[0].name, 'Lamp');
+            assert.strictEqual(found[0].port, 8081);
+            assert.deepStrictEqual(found[0].addresses, ['10.0.0.1']);
+            assert.deepStrictEqual(services.map(service => service.port), [8081]);
+        } finally {
+            socket.close();
+        }
+    });
+
+    it('suppresses a TXT answer the querier already holds, binary values included', async () => {
+        const lan = new VirtualLan();
+        const txt = [{ key: 'fw', value: Buffer.from([0xFF, 0x00, 0x3D]) }, { key: 'room', value: Buffer.from('Hall') }];
+        const responder = advertise_service({ name: 'Amp', port: 82, txt, interface: '10.0.0.1', transport: lan.create_transport('10.0.0.1') });
+        const socket = lan.create_transport('10.0.0.2').create_socket('udp4');
+        await new Promise(resolve => socket.bind(5353, '0.0.0.0', resolve));
+        socket.addMembership('224.0.0.251', '10.0.0.2');
+
+        const instance = 'Amp._smart_ip._tcp.local';
+        // Announcements carry the PTR record; responses to the SRV and TXT question below do not
+        const ask = async (answers) => {
+            const query = encode_dns_message({
+                questions: [{ name: instance, qtype: 33, qclass: 1 }, { name: instance, qtype: 16, qclass: 1 }],
+                answers
+            });
+            socket.send(query, 0, query.length, 5353, '224.0.0.251');
+            for (;;) {
+                const [message] = await once(socket, 'message');
+                const packet = parse_dns_message(message);
+                if (packet.header.flags.qr && !packet.answers.some(record => record.type === 12)) {
+                    return packet.answers.map(record => record.type);
+                }
+            }
+        };
+        try {
+            assert.deepStrictEqual(await ask([]), [33, 16]);
+            assert.deepStrictEqual(await ask([{ name: instance, type: 16, ttl: 120, rdata: txt }]), [33]);
+            // A different binary value is not the same record, although both decode to the same string
+            const other = [{ key: 'fw', value: Buffer.from([0xFE, 0x00, 0x3D]) }, txt[1]];
+            assert.deepStrictEqual(await ask([{ name: instance, type: 16, ttl: 120, rdata: other }]), [33, 16]);
+        } finally {
+            socket.close();
+            await responder.stop();
+        }
+    });
+
+    it('can stop a responder before its socket is bound', async () => {
+        const lan = new VirtualLan();
+        const responder = advertise_service({ name: 'Early', port: 1, interface: '10.0.0.1', transport: lan.create_transport('10.0.0.1') });
+        await responder.stop();
+        // The second announcement would have been sent after one second
+        await new Promise(resolve => setTimeout(resolve, 1100));
+    });
+
+    it('rejects an interface the host does not have', async () => {
+        const lan = new VirtualLan();
+        await assert.rejects(
+            search_mdns_servicesmv1({ interface: '10.0.0.9', transport: lan.create_transport('10.0.0.2'), timeout: 100 }),
+            InterfaceNotFoundError
+        );
+    });
+});